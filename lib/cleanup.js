@@ -0,0 +1,155 @@
+import { Counter } from 'k6/metrics';
+import { createClient } from './smartrent-client.js';
+import { BASE_URL } from './config.js';
+
+// ============================================================
+// TEST DATA CLEANUP
+// Listings created by a run carry the run ID in their title, so
+// teardown() (or script/smartrent-cleanup.js) can find them again
+// through each account's `mine=true` listings - VUs don't share
+// memory, the API is the shared record of what was created.
+// Saved listings carry no run ID: the VU that saved a listing
+// unsaves it again at the end of its iteration (saveListing/undoSaves),
+// and teardown() removes the saves made since the run started that an
+// iteration cut off by gracefulRampDown left behind.
+// Cleanup requests go through their own client, which records no
+// Trends, checks or error/success counts.
+//
+// __ENV:
+//   RUN_ID    fixed run ID (default: generated in setup())
+//   CLEANUP   false = keep the data created by this run
+// ============================================================
+
+export const LISTING_TITLE_PREFIX = 'K6 Test Listing';
+
+const cleanedUp = new Counter('cleanup_deleted');
+const cleanupFailed = new Counter('cleanup_failed');
+
+// Uninstrumented: cleanup traffic stays out of the test's metrics
+const cleanupApi = createClient({ baseUrl: BASE_URL, record: false });
+
+// setup(): identifies this run's data
+export function startRun() {
+  return {
+    id: __ENV.RUN_ID || `run${Date.now().toString(36)}`,
+    startedAt: new Date().toISOString(),
+  };
+}
+
+export function listingTitle(run) {
+  return `${LISTING_TITLE_PREFIX} ${run.id} ${Date.now()}`;
+}
+
+// Listings saved by this VU in the current iteration (not the 409 "already saved" ones)
+const savedByThisVu = [];
+
+// user.savedListings.save(), remembering the save if this call made it
+export function saveListing(user, listingId, opts) {
+  const result = user.savedListings.save(listingId, opts);
+  if (result.ok && (result.res.status === 200 || result.res.status === 201)) {
+    savedByThisVu.push(listingId);
+  }
+  return result;
+}
+
+// End of iteration: unsave what saveListing() saved with the session's
+// token (CLEANUP=false keeps them)
+export function undoSaves(session) {
+  const user = cleanupApi.as(session);
+  while (savedByThisVu.length > 0) {
+    const listingId = savedByThisVu.pop();
+    if (__ENV.CLEANUP === 'false') continue;
+    const result = user.savedListings.remove(listingId);
+    if (result.ok) cleanedUp.add(1, { kind: 'savedListing' });
+  }
+}
+
+function myListings(api, titlePrefix) {
+  const found = [];
+  for (let page = 1; page <= 50; page++) {
+    const result = api.listings.mine({ page: page, size: 100 });
+    if (!result.ok || !Array.isArray(result.data) || result.data.length === 0) break;
+    result.data
+      .filter((l) => typeof l.title === 'string' && l.title.indexOf(titlePrefix) === 0)
+      .forEach((l) => found.push(l));
+    if (result.data.length < 100) break;
+  }
+  return found;
+}
+
+function record(report, kind, id, ok, detail) {
+  if (ok) {
+    report[kind].cleaned.push(id);
+    cleanedUp.add(1, { kind: kind });
+  } else {
+    report[kind].failed.push(`${id} (${detail})`);
+    cleanupFailed.add(1, { kind: kind });
+  }
+}
+
+// Delete every listing titled `<titlePrefix>...` and, with `since` (ISO date),
+// every saved listing created after it for the given accounts - on shared
+// accounts that includes saves other runs made meanwhile.
+// Listings the API refuses to delete (405) are archived instead.
+export function cleanupAccounts(accounts, criteria) {
+  const report = {
+    listing: { cleaned: [], failed: [] },
+    savedListing: { cleaned: [], failed: [] },
+  };
+
+  accounts.forEach((account) => {
+    const token = cleanupApi.auth.login(account);
+    if (!token) {
+      record(report, 'listing', account.email, false, 'login failed');
+      return;
+    }
+    const user = cleanupApi.as(token);
+
+    myListings(user, criteria.titlePrefix).forEach((listing) => {
+      let result = user.listings.remove(listing.listingId);
+      if (result.res.status === 405) {
+        result = user.listings.archive(listing.listingId);
+      }
+      record(report, 'listing', listing.listingId, result.ok, result.res.status);
+    });
+
+    if (criteria.since) {
+      const since = Date.parse(criteria.since);
+      const saved = user.savedListings.list();
+      (Array.isArray(saved.data) ? saved.data : [])
+        .filter((s) => s.createdAt && Date.parse(s.createdAt) >= since)
+        .forEach((s) => {
+          const result = user.savedListings.remove(s.listingId);
+          record(report, 'savedListing', s.listingId, result.ok, result.res.status);
+        });
+    }
+  });
+
+  return report;
+}
+
+// teardown(): remove what this run created, unless CLEANUP=false. The
+// savedListing count is what undoSaves() could not undo; the listing counts
+// and cleanup_deleted{kind:savedListing} cover the whole run.
+export function cleanupRun(accounts, run) {
+  if (__ENV.CLEANUP === 'false' || !run) return null;
+
+  const report = cleanupAccounts(accounts, {
+    titlePrefix: `${LISTING_TITLE_PREFIX} ${run.id} `,
+    since: run.startedAt,
+  });
+  console.log(formatCleanupReport(report, `Cleanup of run ${run.id}`));
+  return report;
+}
+
+export function formatCleanupReport(report, title) {
+  let text = `\n${title}\n`;
+  Object.keys(report).forEach((kind) => {
+    const r = report[kind];
+    text += `  ${kind}: ${r.cleaned.length} cleaned, ${r.failed.length} failed\n`;
+    if (r.failed.length > 0) {
+      text += `    failed: ${r.failed.join(', ')}\n`;
+    }
+  });
+  return text;
+}
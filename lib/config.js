@@ -0,0 +1,79 @@
+// ============================================================
+// ENVIRONMENT PROFILES
+// Base URL, credentials, ID fixtures and stage presets per
+// environment, loaded from config/profiles.json.
+//
+//   k6 run -e PROFILE=local scenarios/user-journey-test.js
+//
+// __ENV overrides:
+//   PROFILE          dev (default) | staging | local | prod-readonly
+//   PROFILE_FILE     alternative profiles file
+//   BASE_URL         override the profile base URL
+//   LOAD_SHAPE       stage preset name (smoke, light, load, stress)
+//   SMARTRENT_USER_EMAIL / SMARTRENT_ADMIN_EMAIL   override account emails
+//   <passwordEnv>    passwords, e.g. SMARTRENT_USER_PASSWORD - never stored in files
+// ============================================================
+
+// Relative paths (PROFILE_FILE, USER_POOL, ...) are resolved from the repository root
+export function resolvePath(path) {
+  if (/^(\/|[A-Za-z]:[\\/]|file:)/.test(path)) return path;
+  return import.meta.resolve(`../${path}`);
+}
+
+const profileFile = JSON.parse(open(resolvePath(__ENV.PROFILE_FILE || 'config/profiles.json')));
+
+export const PROFILE_NAME = __ENV.PROFILE || 'dev';
+
+if (!profileFile.profiles[PROFILE_NAME]) {
+  throw new Error(
+    `Unknown profile "${PROFILE_NAME}". Available: ${Object.keys(profileFile.profiles).join(', ')}`
+  );
+}
+
+export const profile = profileFile.profiles[PROFILE_NAME];
+
+export const BASE_URL = __ENV.BASE_URL || profile.baseUrl;
+
+// Province/category/amenity IDs and the address used for created listings
+export const fixtures = profile.fixtures;
+
+// Mock profiles accept any password, so a placeholder is fine there
+const MOCK_PASSWORD = 'mock-password';
+
+// Credential set for a role ('user' | 'admin'); the password comes from the env var
+// named by `passwordEnv` in the profile
+export function credentials(role) {
+  const entry = profile.credentials && profile.credentials[role];
+  if (!entry) {
+    throw new Error(`Profile "${PROFILE_NAME}" has no "${role}" credentials`);
+  }
+
+  const email = __ENV[`SMARTRENT_${role.toUpperCase()}_EMAIL`] || entry.email;
+  const password = __ENV[entry.passwordEnv] || (profile.mock ? MOCK_PASSWORD : null);
+  if (!password) {
+    throw new Error(`Missing password for ${role} ${email}: set ${entry.passwordEnv} (e.g. k6 run -e ${entry.passwordEnv}=...)`);
+  }
+
+  return { email: email, password: password };
+}
+
+// Stage preset selected by LOAD_SHAPE, then the profile's defaultPreset,
+// then the script's own stages
+export function stages(defaultStages) {
+  const name = __ENV.LOAD_SHAPE || profile.defaultPreset;
+  if (!name) return defaultStages;
+
+  if (!profileFile.presets[name]) {
+    throw new Error(`Unknown stage preset "${name}". Available: ${Object.keys(profileFile.presets).join(', ')}`);
+  }
+  return profileFile.presets[name];
+}
+
+// Hard refusal for scenarios that create/modify data on a read-only profile
+export function requireWritable(scenario) {
+  if (profile.readOnly) {
+    throw new Error(
+      `Refusing to run "${scenario}" against read-only profile "${PROFILE_NAME}" (${BASE_URL}): it creates or modifies data`
+    );
+  }
+}
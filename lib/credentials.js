@@ -0,0 +1,147 @@
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import { profile, credentials, resolvePath } from './config.js';
+
+// ============================================================
+// CREDENTIAL POOL
+// Spreads VUs over many test accounts instead of one shared user.
+//
+// __ENV:
+//   USER_POOL            CSV (header: email[,password]) or JSON array of
+//                        { email, password? }; defaults to the profile's userPool,
+//                        then to the profile's single user account
+//   USER_POOL_STRATEGY   round-robin (default) | unique | random; unique needs
+//                        an account for every VU of every scenario in the
+//                        script, since k6 numbers VUs across all of them
+//   USER_POOL_PASSWORD   password for rows without one (defaults to the
+//                        profile user password)
+// ============================================================
+
+export const STRATEGIES = ['round-robin', 'unique', 'random'];
+
+// Minimal CSV reader: header row, comma separated, no quoted fields
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+  const header = lines.shift().split(',').map((h) => h.trim());
+  return lines.map((line) => {
+    const cells = line.split(',');
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = (cells[i] || '').trim();
+    });
+    return row;
+  });
+}
+
+function loadAccounts(path) {
+  const text = open(resolvePath(path));
+  return path.endsWith('.json') ? JSON.parse(text) : parseCsv(text);
+}
+
+// Must be called from the init context (SharedArray)
+export function createUserPool() {
+  const strategy = __ENV.USER_POOL_STRATEGY || 'round-robin';
+  if (STRATEGIES.indexOf(strategy) === -1) {
+    throw new Error(`Unknown USER_POOL_STRATEGY "${strategy}". Available: ${STRATEGIES.join(', ')}`);
+  }
+
+  const accounts = new SharedArray('user-pool', function () {
+    const path = __ENV.USER_POOL || profile.userPool;
+    if (!path) return [credentials('user')];
+
+    const defaultPassword = __ENV.USER_POOL_PASSWORD || credentials('user').password;
+    const rows = loadAccounts(path)
+      .filter((row) => row.email)
+      .map((row) => ({ email: row.email, password: row.password || defaultPassword }));
+    if (rows.length === 0) {
+      throw new Error(`User pool ${path} has no accounts`);
+    }
+    return rows;
+  });
+
+  return {
+    strategy: strategy,
+    size: accounts.length,
+    all: () => Array.from({ length: accounts.length }, (_, i) => accounts[i]),
+    emails: () => Array.from({ length: accounts.length }, (_, i) => accounts[i].email),
+
+    // Account for the current VU/iteration. Also tags every following
+    // metric sample of this VU with `account` for the per-account summary.
+    next: function () {
+      const vu = exec.vu.idInTest;
+      let account;
+
+      if (strategy === 'random') {
+        account = accounts[Math.floor(Math.random() * accounts.length)];
+      } else if (strategy === 'unique') {
+        if (vu > accounts.length) {
+          exec.test.abort(`USER_POOL_STRATEGY=unique needs one account per VU: VU ${vu} > ${accounts.length} accounts`);
+        }
+        account = accounts[vu - 1];
+      } else {
+        account = accounts[(vu - 1) % accounts.length];
+      }
+
+      exec.vu.metrics.tags.account = account.email;
+      return account;
+    },
+  };
+}
+
+// Peak VUs of one scenario from its executor settings
+function scenarioVUs(scenario) {
+  if (scenario.executor === 'ramping-vus') {
+    return (scenario.stages || []).reduce((max, s) => Math.max(max, s.target), scenario.startVUs || 0);
+  }
+  if (scenario.executor === 'constant-arrival-rate' || scenario.executor === 'ramping-arrival-rate') {
+    return Math.max(scenario.maxVUs || 0, scenario.preAllocatedVUs || 0);
+  }
+  return scenario.vus || 1;
+}
+
+// Must be called from the init context, after `options`. The unique strategy
+// hands VU n account n, and VU ids run across all scenarios, so the pool must
+// cover the peak VUs of every scenario added up.
+export function checkUserPool(pool, options) {
+  if (pool.strategy !== 'unique') return;
+  const scenarios = options.scenarios || {};
+  const vus = Object.keys(scenarios).reduce((sum, name) => sum + scenarioVUs(scenarios[name]), 0);
+  if (vus > pool.size) {
+    throw new Error(`USER_POOL_STRATEGY=unique needs one account per VU: up to ${vus} VUs across all scenarios, ${pool.size} accounts`);
+  }
+}
+
+// Threshold entries that make k6 keep an `errors{account:<email>}` submetric per
+// account, so handleSummary can report failures per account. Always pass.
+export function accountThresholds(pool) {
+  const thresholds = {};
+  pool.emails().forEach((email) => {
+    thresholds[`errors{account:${email}}`] = ['rate>=0'];
+  });
+  return thresholds;
+}
+
+// Summary section: failed operations per account that was used, worst first
+export function accountSummary(data, indent = '') {
+  const rows = Object.keys(data.metrics)
+    .filter((key) => key.indexOf('errors{account:') === 0)
+    .map((key) => {
+      const values = data.metrics[key].values;
+      return {
+        email: key.slice('errors{account:'.length, -1),
+        failures: values.passes || 0,
+        total: (values.passes || 0) + (values.fails || 0),
+      };
+    })
+    .filter((r) => r.total > 0)
+    .sort((a, b) => b.failures - a.failures);
+
+  if (rows.length === 0) return '';
+
+  let summary = '\n' + indent + 'ACCOUNTS\n\n';
+  rows.forEach((r) => {
+    const rate = r.total > 0 ? (r.failures / r.total) * 100 : 0;
+    summary += indent + `  ${r.email}: ${r.failures} failed / ${r.total} operations (${rate.toFixed(2)}%)\n`;
+  });
+  return summary;
+}
@@ -0,0 +1,207 @@
+import { thresholdResults, customMetrics } from './summary.js';
+
+// ============================================================
+// HTML REPORT
+// Standalone report for one run: metadata, thresholds, endpoint charts
+// and the group/check tree. Styles and charts (plain SVG) are inlined,
+// so the file opens offline and can be archived as-is.
+// ============================================================
+
+const STATS = ['min', 'med', 'avg', 'p(90)', 'p(95)', 'max'];
+const COLORS = { avg: '#00d4ff', p95: '#7b2cbf', stat: '#4dd0e1', fail: '#ff4444', limit: '#ffaa00' };
+
+const STYLE = `
+  body { font-family: 'Segoe UI', Tahoma, sans-serif; background: #1a1a2e; color: #eee; margin: 0; padding: 24px; }
+  main { max-width: 1100px; margin: 0 auto; }
+  h1 { color: #00d4ff; margin-bottom: 4px; }
+  h2 { color: #00d4ff; border-bottom: 1px solid #2d2d4d; padding-bottom: 6px; margin-top: 36px; }
+  h3 { margin: 0 0 8px; font-size: 1rem; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #2d2d4d; }
+  th { color: #00d4ff; }
+  code { color: #aaa; }
+  .pass { color: #00ff88; font-weight: bold; }
+  .fail { color: #ff4444; font-weight: bold; }
+  .muted { color: #888; }
+  .banner { padding: 12px 16px; border-radius: 8px; margin-top: 16px; font-weight: bold; }
+  .banner.pass { background: rgba(0,255,136,0.12); }
+  .banner.fail { background: rgba(255,68,68,0.12); }
+  .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(330px, 1fr)); gap: 16px; }
+  .card { background: #23233a; border: 1px solid #2d2d4d; border-radius: 10px; padding: 14px; }
+  .card.fail { border-left: 4px solid #ff4444; }
+  details { margin-left: 18px; }
+  summary { cursor: pointer; padding: 6px 0; color: #00d4ff; }
+  .check { display: flex; justify-content: space-between; margin-left: 18px; padding: 4px 0; border-bottom: 1px solid #2d2d4d; }
+  svg text { fill: #ccc; font-size: 12px; }
+`;
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function ms(value) {
+  return typeof value === 'number' && isFinite(value) ? `${value.toFixed(2)}ms` : 'n/a';
+}
+
+// Upper latency limit from a "p(95)<3000" style threshold, for the chart marker
+function latencyLimit(metric, stat) {
+  let limit = null;
+  Object.keys(metric.thresholds || {}).forEach((expression) => {
+    const match = expression.replace(/\s/g, '').match(/^(.+?)<=?([\d.]+)$/);
+    if (match && match[1] === stat) limit = Number(match[2]);
+  });
+  return limit;
+}
+
+// Horizontal bar chart: rows of { label, value, color }, optional dashed limit line
+function barChart(rows, limit) {
+  const width = 640;
+  const labelWidth = 200;
+  const rowHeight = 22;
+  const height = rows.length * rowHeight + 10;
+  const max = Math.max(limit || 0, ...rows.map((r) => r.value || 0)) || 1;
+  const scale = (value) => ((width - labelWidth - 70) * value) / max;
+
+  let svg = `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">`;
+  rows.forEach((row, i) => {
+    const y = i * rowHeight + 4;
+    svg += `<text x="${labelWidth - 8}" y="${y + 14}" text-anchor="end">${escape(row.label)}</text>`;
+    svg += `<rect x="${labelWidth}" y="${y + 2}" width="${Math.max(scale(row.value || 0), 1)}" height="${rowHeight - 6}" fill="${row.color}" rx="2">` +
+      `<title>${escape(row.label)}: ${ms(row.value)}</title></rect>`;
+    svg += `<text x="${labelWidth + scale(row.value || 0) + 6}" y="${y + 14}">${(row.value || 0).toFixed(0)}</text>`;
+  });
+  if (limit) {
+    const x = labelWidth + scale(limit);
+    svg += `<line x1="${x}" y1="0" x2="${x}" y2="${height}" stroke="${COLORS.limit}" stroke-dasharray="4 3">` +
+      `<title>threshold ${limit}ms</title></line>`;
+  }
+  return svg + '</svg>';
+}
+
+function metadataSection(metadata) {
+  if (!metadata) return '';
+  const stages = (metadata.vus.stages || []).map((s) => `${s.duration} → ${s.target}`).join(', ');
+  const rows = [
+    ['Scenario', metadata.scenario],
+    ['Profile', `${metadata.profile} (${metadata.baseUrl})`],
+    ['Commit', metadata.gitCommit],
+    ['Started', metadata.startedAt || 'n/a'],
+    ['Finished', metadata.finishedAt],
+    ['Duration', metadata.durationMs === null ? 'n/a' : `${(metadata.durationMs / 1000).toFixed(1)}s`],
+    ['Load shape', `${metadata.vus.shape}, max ${metadata.vus.max === null ? 'n/a' : metadata.vus.max} VUs`],
+  ];
+  if (stages) rows.push(['Stages', stages]);
+  return '<h2>Run</h2><table>' +
+    rows.map(([name, value]) => `<tr><th>${name}</th><td>${escape(value)}</td></tr>`).join('') +
+    '</table>';
+}
+
+function thresholdSection(results) {
+  if (results.length === 0) return '<h2>Thresholds</h2><p class="muted">No thresholds configured</p>';
+  return '<h2>Thresholds</h2><table><tr><th>Status</th><th>Metric</th><th>Threshold</th><th>Actual</th></tr>' +
+    results.map((t) => `<tr><td class="${t.ok ? 'pass' : 'fail'}">${t.ok ? 'PASS' : 'FAIL'}</td>` +
+      `<td>${escape(t.metric)}</td><td><code>${escape(t.expression)}</code></td><td>${escape(t.actual)}</td></tr>`).join('') +
+    '</table>';
+}
+
+function endpointSection(data, results) {
+  const trends = customMetrics(data, 'trend')
+    .filter((name) => name.indexOf('{') === -1 && data.metrics[name].values.max > 0);
+  if (trends.length === 0) return '';
+
+  const overview = [];
+  trends.forEach((name) => {
+    const v = data.metrics[name].values;
+    overview.push({ label: `${name} avg`, value: v.avg, color: COLORS.avg });
+    overview.push({ label: `${name} p95`, value: v['p(95)'], color: COLORS.p95 });
+  });
+
+  const cards = trends.map((name) => {
+    const metric = data.metrics[name];
+    const failed = results.some((t) => !t.ok && (t.metric === name || t.metric.indexOf(`${name}{`) === 0));
+    const rows = STATS.map((stat) => ({
+      label: stat,
+      value: metric.values[stat],
+      color: failed && stat === 'p(95)' ? COLORS.fail : COLORS.stat,
+    }));
+    return `<div class="card${failed ? ' fail' : ''}"><h3>${escape(name)}</h3>${barChart(rows, latencyLimit(metric, 'p(95)'))}</div>`;
+  });
+
+  return '<h2>Endpoints</h2>' +
+    `<div class="card">${barChart(overview)}</div>` +
+    '<p class="muted">Dashed line: p(95) threshold</p>' +
+    `<div class="cards">${cards.join('')}</div>`;
+}
+
+function groupTotals(group) {
+  const totals = { passes: 0, fails: 0 };
+  (group.checks || []).forEach((c) => {
+    totals.passes += c.passes;
+    totals.fails += c.fails;
+  });
+  (group.groups || []).forEach((g) => {
+    const sub = groupTotals(g);
+    totals.passes += sub.passes;
+    totals.fails += sub.fails;
+  });
+  return totals;
+}
+
+function percent(passes, fails) {
+  return passes + fails === 0 ? '-' : `${((passes / (passes + fails)) * 100).toFixed(2)}%`;
+}
+
+// Groups with failing checks are expanded
+function groupTree(group) {
+  let html = (group.checks || []).map((c) =>
+    `<div class="check"><span class="${c.fails > 0 ? 'fail' : ''}">${escape(c.name)}</span>` +
+    `<span>${c.passes} / ${c.fails} (${percent(c.passes, c.fails)})</span></div>`).join('');
+  (group.groups || []).forEach((g) => {
+    const totals = groupTotals(g);
+    html += `<details${totals.fails > 0 ? ' open' : ''}><summary>${escape(g.name)} ` +
+      `<span class="muted">${totals.passes} / ${totals.fails} (${percent(totals.passes, totals.fails)})</span></summary>` +
+      groupTree(g) + '</details>';
+  });
+  return html;
+}
+
+function checkSection(data) {
+  if (!data.root_group) return '';
+  const totals = groupTotals(data.root_group);
+  return `<h2>Groups &amp; Checks</h2><p class="muted">passes / fails (pass rate) - total ${percent(totals.passes, totals.fails)}</p>` +
+    groupTree(data.root_group);
+}
+
+function overviewLine(data) {
+  const m = data.metrics;
+  const parts = [];
+  if (m.http_reqs) parts.push(`${m.http_reqs.values.count} requests (${m.http_reqs.values.rate.toFixed(2)}/s)`);
+  if (m.http_req_failed) parts.push(`${(m.http_req_failed.values.rate * 100).toFixed(2)}% failed`);
+  if (m.http_req_duration) parts.push(`avg ${ms(m.http_req_duration.values.avg)}, p95 ${ms(m.http_req_duration.values['p(95)'])}`);
+  if (m.iterations) parts.push(`${m.iterations.values.count} iterations`);
+  return parts.join(' · ');
+}
+
+// options.title     report heading
+// options.metadata  runMetadata() of the run
+export function htmlReport(data, options = {}) {
+  const title = options.title || 'SmartRent k6 report';
+  const results = thresholdResults(data);
+  const failed = results.filter((t) => !t.ok).length;
+
+  return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+    `<title>${escape(title)}</title>\n<style>${STYLE}</style>\n</head>\n<body><main>\n` +
+    `<h1>${escape(title)}</h1><p class="muted">${escape(overviewLine(data))}</p>` +
+    (failed === 0
+      ? `<div class="banner pass">PASS - all ${results.length} thresholds met</div>`
+      : `<div class="banner fail">FAIL - ${failed} of ${results.length} thresholds failed</div>`) +
+    metadataSection(options.metadata) +
+    thresholdSection(results) +
+    endpointSection(data, results) +
+    checkSection(data) +
+    '\n</main></body>\n</html>\n';
+}
@@ -0,0 +1,74 @@
+import { Counter } from 'k6/metrics';
+
+// ============================================================
+// EXPECTED OUTCOMES
+// Endpoints declare the business rejections they may legitimately
+// return (`rejections` in the client spec). Those are recognised by
+// the `code` of the error body - never by status alone - and counted
+// in `business_rejections{endpoint,reason}`. Any other 4xx/5xx is an error.
+//
+// __ENV:
+//   OUTCOME_MODE   lenient (default) - business rejections pass the checks
+//                  strict            - business rejections also fail the checks
+// ============================================================
+
+export const OUTCOME_MODES = ['lenient', 'strict'];
+
+// Every code an endpoint may declare, used for the per-reason summary
+export const REJECTION_REASONS = ['INSUFFICIENT_QUOTA', 'NOT_OWNER'];
+
+const businessRejections = new Counter('business_rejections');
+
+export function outcomeMode() {
+  const mode = __ENV.OUTCOME_MODE || 'lenient';
+  if (OUTCOME_MODES.indexOf(mode) === -1) {
+    throw new Error(`Unknown OUTCOME_MODE "${mode}". Available: ${OUTCOME_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// `code` of an error body ({ code, message, data: null }), null otherwise
+export function errorCode(res) {
+  try {
+    return JSON.parse(res.body).code || null;
+  } catch {
+    return null;
+  }
+}
+
+// Reason code if `res` is one of the endpoint's declared rejections, else null.
+// Counts it in business_rejections.
+export function classifyRejection(res, endpoint, reasons) {
+  if (!reasons || res.status < 400 || res.status >= 500) return null;
+  const code = errorCode(res);
+  if (!code || reasons.indexOf(code) === -1) return null;
+
+  businessRejections.add(1, { endpoint: endpoint, reason: code });
+  return code;
+}
+
+// Always-pass thresholds so the summary gets one submetric per reason
+export function rejectionThresholds() {
+  const thresholds = {};
+  REJECTION_REASONS.forEach((reason) => {
+    thresholds[`business_rejections{reason:${reason}}`] = ['count>=0'];
+  });
+  return thresholds;
+}
+
+export function rejectionSummary(data, indent = '') {
+  const rows = REJECTION_REASONS
+    .map((reason) => {
+      const metric = data.metrics[`business_rejections{reason:${reason}}`];
+      return { reason: reason, count: metric ? metric.values.count : 0 };
+    })
+    .filter((r) => r.count > 0);
+
+  if (rows.length === 0) return '';
+
+  let summary = '\n' + indent + `BUSINESS REJECTIONS (OUTCOME_MODE=${__ENV.OUTCOME_MODE || 'lenient'})\n\n`;
+  rows.forEach((r) => {
+    summary += indent + `  ${r.reason}: ${r.count}\n`;
+  });
+  return summary;
+}
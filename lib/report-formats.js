@@ -0,0 +1,175 @@
+import { thresholdResults, customMetrics } from './summary.js';
+
+// ============================================================
+// REPORT FORMATS
+// Extra handleSummary outputs for CI / test-report tooling:
+//   junit      ./results/<name>-junit.xml     one testcase per check and per threshold
+//   markdown   ./results/<name>-report.md     thresholds, endpoint latency, failing checks
+//   csv        ./results/<name>-endpoints.csv avg/p90/p95/max per endpoint Trend
+//
+// __ENV:
+//   REPORT_FORMATS   comma separated list of the formats above, or "all" (default: none)
+//                    validated in the init context: a typo fails the run before it starts
+// ============================================================
+
+export const REPORT_FORMATS = ['junit', 'markdown', 'csv'];
+
+function selectedFormats() {
+  const value = (__ENV.REPORT_FORMATS || '').trim();
+  if (!value) return [];
+  if (value === 'all') return REPORT_FORMATS;
+
+  const formats = value.split(',').map((f) => f.trim()).filter((f) => f);
+  formats.forEach((format) => {
+    if (REPORT_FORMATS.indexOf(format) === -1) {
+      throw new Error(`Unknown REPORT_FORMATS entry "${format}". Available: ${REPORT_FORMATS.join(', ')}, all`);
+    }
+  });
+  return formats;
+}
+
+// Init context - handleSummary must not throw, or k6 drops every summary output
+const FORMATS = selectedFormats();
+
+// Every check of the group tree as { group, name, passes, fails }
+export function allChecks(group, path = []) {
+  const groupPath = group.name ? path.concat(group.name) : path;
+  let checks = (group.checks || []).map((c) => ({
+    group: groupPath.join(' / '),
+    name: c.name,
+    passes: c.passes,
+    fails: c.fails,
+  }));
+  (group.groups || []).forEach((g) => {
+    checks = checks.concat(allChecks(g, groupPath));
+  });
+  return checks;
+}
+
+function ms(value) {
+  return typeof value === 'number' && isFinite(value) ? value.toFixed(2) : '';
+}
+
+// ============================================================
+// JUNIT XML
+// ============================================================
+function xml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function testsuite(name, cases) {
+  const failures = cases.filter((c) => c.failure).length;
+  let text = `  <testsuite name="${xml(name)}" tests="${cases.length}" failures="${failures}">\n`;
+  cases.forEach((c) => {
+    text += `    <testcase classname="${xml(c.classname)}" name="${xml(c.name)}"`;
+    text += c.failure
+      ? `>\n      <failure message="${xml(c.failure)}"/>\n    </testcase>\n`
+      : '/>\n';
+  });
+  return text + '  </testsuite>\n';
+}
+
+export function junitReport(data, name) {
+  const checks = allChecks(data.root_group || {}).map((c) => ({
+    classname: `${name}.${c.group || 'root'}`,
+    name: c.name,
+    failure: c.fails > 0 ? `${c.fails} of ${c.passes + c.fails} failed` : null,
+  }));
+  const thresholds = thresholdResults(data).map((t) => ({
+    classname: `${name}.thresholds`,
+    name: `${t.metric} ${t.expression}`,
+    failure: t.ok ? null : `actual: ${t.actual}`,
+  }));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites>\n' +
+    testsuite(`${name} checks`, checks) +
+    testsuite(`${name} thresholds`, thresholds) +
+    '</testsuites>\n';
+}
+
+// ============================================================
+// MARKDOWN
+// ============================================================
+function mdCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+export function markdownReport(data, title) {
+  const thresholds = thresholdResults(data);
+  const failed = thresholds.filter((t) => !t.ok).length;
+  let md = `## ${title}\n\n`;
+  md += failed === 0
+    ? `**PASS** - all ${thresholds.length} thresholds met\n\n`
+    : `**FAIL** - ${failed} of ${thresholds.length} thresholds failed\n\n`;
+
+  md += '### Thresholds\n\n| Status | Metric | Threshold | Actual |\n|---|---|---|---|\n';
+  thresholds.forEach((t) => {
+    md += `| ${t.ok ? 'PASS' : '**FAIL**'} | ${mdCell(t.metric)} | \`${t.expression}\` | ${t.actual} |\n`;
+  });
+
+  const trends = customMetrics(data, 'trend');
+  if (trends.length > 0) {
+    md += '\n### Endpoint latency (ms)\n\n| Metric | avg | p90 | p95 | max |\n|---|---|---|---|---|\n';
+    trends.forEach((name) => {
+      const v = data.metrics[name].values;
+      md += `| ${mdCell(name)} | ${ms(v.avg)} | ${ms(v['p(90)'])} | ${ms(v['p(95)'])} | ${ms(v.max)} |\n`;
+    });
+  }
+
+  const failing = allChecks(data.root_group || {}).filter((c) => c.fails > 0);
+  md += '\n### Checks\n\n';
+  if (failing.length === 0) {
+    md += 'All checks passed.\n';
+  } else {
+    md += '| Group | Check | Failed |\n|---|---|---|\n';
+    failing.forEach((c) => {
+      md += `| ${mdCell(c.group || '-')} | ${mdCell(c.name)} | ${c.fails} / ${c.passes + c.fails} |\n`;
+    });
+  }
+
+  const m = data.metrics;
+  if (m.http_reqs) {
+    md += `\n${m.http_reqs.values.count} requests`;
+    if (m.http_req_failed) md += `, ${(m.http_req_failed.values.rate * 100).toFixed(2)}% failed`;
+    if (m.http_req_duration) md += `, p95 ${ms(m.http_req_duration.values['p(95)'])}ms`;
+    md += '\n';
+  }
+  return md;
+}
+
+// ============================================================
+// CSV
+// ============================================================
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvReport(data) {
+  let csv = 'metric,avg,p90,p95,max\n';
+  customMetrics(data, 'trend').forEach((name) => {
+    const v = data.metrics[name].values;
+    csv += [name, ms(v.avg), ms(v['p(90)']), ms(v['p(95)']), ms(v.max)].map(csvCell).join(',') + '\n';
+  });
+  return csv;
+}
+
+// handleSummary outputs for the formats selected by REPORT_FORMATS.
+// A failing format is logged and skipped, the other outputs are still written.
+export function reportFiles(data, name, title) {
+  const files = {};
+  FORMATS.forEach((format) => {
+    try {
+      if (format === 'junit') files[`./results/${name}-junit.xml`] = junitReport(data, name);
+      if (format === 'markdown') files[`./results/${name}-report.md`] = markdownReport(data, title || name);
+      if (format === 'csv') files[`./results/${name}-endpoints.csv`] = csvReport(data);
+    } catch (err) {
+      console.error(`REPORT_FORMATS: ${format} report failed: ${err.message}`);
+    }
+  });
+  return files;
+}
@@ -0,0 +1,84 @@
+import { PROFILE_NAME, BASE_URL, profile, resolvePath } from './config.js';
+import { htmlReport } from './html-report.js';
+
+// ============================================================
+// RUN HISTORY
+// Every run is saved as results/<scenario>-<timestamp>.json with a
+// `metadata` block plus a standalone .html report of the same name, and
+// results/results-index.json (read by index.html and
+// tools/compare-baseline.mjs) is regenerated with one entry per run,
+// newest first.
+//
+// __ENV:
+//   GIT_COMMIT   commit of the tested scripts (set by the runners)
+//   RUN_TAG      identifies this k6 run for tools/compare-baseline.mjs --run-tag (set by the runners)
+// ============================================================
+
+const INDEX_FILE = 'results/results-index.json';
+
+// Read once in the init context - handleSummary cannot open() files.
+// Older indexes are plain file name lists.
+function loadIndex() {
+  try {
+    return JSON.parse(open(resolvePath(INDEX_FILE)))
+      .map((entry) => (typeof entry === 'string' ? { file: entry } : entry));
+  } catch {
+    return [];
+  }
+}
+
+const previousRuns = loadIndex();
+
+// Stages of the first ramping scenario (or top-level options.stages)
+function stagesOf(options) {
+  if (options.stages) return options.stages;
+  const scenario = Object.values(options.scenarios || {}).find((s) => s.stages);
+  return scenario ? scenario.stages : null;
+}
+
+function thresholdsPassed(data) {
+  return Object.keys(data.metrics).every((name) => {
+    const thresholds = data.metrics[name].thresholds || {};
+    return Object.keys(thresholds).every((t) => thresholds[t].ok);
+  });
+}
+
+export function runMetadata(data, scenario, options) {
+  const durationMs = data.state ? Math.round(data.state.testRunDurationMs) : null;
+  const finishedAt = new Date();
+  return {
+    scenario: scenario,
+    profile: PROFILE_NAME,
+    baseUrl: BASE_URL,
+    gitCommit: __ENV.GIT_COMMIT || 'unknown',
+    runTag: __ENV.RUN_TAG || null,
+    startedAt: durationMs === null ? null : new Date(finishedAt.getTime() - durationMs).toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: durationMs,
+    vus: {
+      shape: __ENV.LOAD_SHAPE || profile.defaultPreset || 'default',
+      max: data.metrics.vus_max ? data.metrics.vus_max.values.max : null,
+      stages: stagesOf(options || {}),
+    },
+    thresholdsPassed: thresholdsPassed(data),
+  };
+}
+
+// handleSummary outputs: the timestamped run file, its HTML report and the updated index
+export function runFiles(data, scenario, options, title) {
+  const metadata = runMetadata(data, scenario, options);
+  const name = `${scenario}-${metadata.finishedAt.replace(/[:.]/g, '-')}`;
+  const file = `${name}.json`;
+
+  // Index entries stay small: no stage list
+  const entry = Object.assign({ file: file, report: `${name}.html` }, metadata, {
+    vus: { shape: metadata.vus.shape, max: metadata.vus.max },
+  });
+  const index = [entry].concat(previousRuns.filter((run) => run.file !== file));
+
+  const files = {};
+  files[`./results/${file}`] = JSON.stringify(Object.assign({ metadata: metadata }, data), null, 2);
+  files[`./results/${name}.html`] = htmlReport(data, { title: title, metadata: metadata });
+  files[`./${INDEX_FILE}`] = JSON.stringify(index, null, 2);
+  return files;
+}
@@ -0,0 +1,139 @@
+// ============================================================
+// RESPONSE SCHEMAS
+// Contract of the `data` field of every SmartRent response envelope
+// ({ data: ... }). The client validates each expected response against
+// its endpoint's schema as a named check ("<label> matches <schema> schema"),
+// so a renamed field fails loudly instead of skipping the steps that need it.
+//
+// Supported JSON Schema subset: type (string or array), required,
+// properties, items, enum, minimum, nullable via type: [..., 'null'].
+// ============================================================
+
+const id = { type: 'integer', minimum: 1 };
+
+const listing = {
+  type: 'object',
+  required: ['listingId', 'title', 'price', 'status', 'address'],
+  properties: {
+    listingId: id,
+    title: { type: 'string' },
+    price: { type: 'number' },
+    status: { type: 'string', enum: ['PENDING', 'APPROVED', 'REJECTED', 'ARCHIVED'] },
+    verified: { type: 'boolean' },
+    moderationReason: { type: ['string', 'null'] },
+    categoryId: id,
+    address: {
+      type: 'object',
+      required: ['provinceId'],
+      properties: { provinceId: id, districtId: id, wardId: id },
+    },
+    amenityIds: { type: 'array', items: id },
+  },
+};
+
+const countRow = (idName) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    required: [idName, 'listingCount'],
+    properties: { [idName]: id, listingCount: { type: 'integer', minimum: 0 } },
+  },
+});
+
+export const SCHEMAS = {
+  auth: {
+    type: 'object',
+    required: ['accessToken'],
+    properties: {
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+    },
+  },
+  listing: listing,
+  listingPage: { type: 'array', items: listing },
+  provinceStats: countRow('provinceId'),
+  categoryStats: countRow('categoryId'),
+  savedListing: {
+    type: 'object',
+    required: ['listingId'],
+    properties: { listingId: id, createdAt: { type: 'string' } },
+  },
+  savedListings: {
+    type: 'array',
+    items: { type: 'object', required: ['listingId'], properties: { listingId: id } },
+  },
+  push: {
+    type: 'object',
+    required: ['listingId'],
+    properties: { listingId: id, pushedAt: { type: ['string', 'null'] } },
+  },
+  reports: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'listingId', 'resolved'],
+      properties: { id: id, listingId: id, resolved: { type: 'boolean' } },
+    },
+  },
+  report: {
+    type: 'object',
+    required: ['id', 'resolved'],
+    properties: { id: id, resolved: { type: 'boolean' } },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// First violation found as "path: problem", null if `value` matches `schema`
+export function validate(schema, value, path = 'data') {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      return `${path}: expected ${types.join('|')}, got ${typeOf(value)}`;
+    }
+  }
+  if (value === null) return null;
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    return `${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `${path}: ${value} < ${schema.minimum}`;
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) return `${path}.${key}: is required`;
+    }
+    for (const key of Object.keys(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const error = validate(schema.properties[key], value[key], `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validate(schema.items, value[i], `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Validate a named schema from the registry
+export function validateSchema(name, value) {
+  const schema = SCHEMAS[name];
+  if (!schema) throw new Error(`Unknown response schema "${name}"`);
+  return validate(schema, value);
+}
@@ -0,0 +1,125 @@
+import { profile, fixtures as profileFixtures, resolvePath } from './config.js';
+
+// ============================================================
+// SEARCH WORKLOAD
+// Builds /v1/listings/search payloads from a fixtures file
+// (data/search-fixtures.json): each request picks a filter shape by
+// weight, then provinces, price band, amenity set, listing type,
+// sort and page depth by their own weights.
+// Provinces and amenity sets name IDs by position in the profile's
+// `fixtures` (`position` / `positions`), so one file fits every
+// profile; a per-profile file may give literal `id` / `ids` instead.
+//
+// __ENV:
+//   SEARCH_FIXTURES   fixtures file (default: profile searchFixtures,
+//                     then data/search-fixtures.json)
+//   SEARCH_WEIGHTS    shape weight overrides, e.g. "province=5,combined=0"
+// ============================================================
+
+// Filter dimensions a shape can combine
+const FILTERS = {
+  province: (f) => ({ provinceIds: [pickWeighted(f.provinces).id] }),
+  price: (f) => {
+    const band = pickWeighted(f.priceBands);
+    return { minPrice: band.min, maxPrice: band.max };
+  },
+  amenities: (f) => ({ amenityIds: pickWeighted(f.amenitySets).ids.slice() }),
+  listingType: (f) => ({ listingType: pickWeighted(f.listingTypes).value }),
+  sort: (f) => {
+    const sort = pickWeighted(f.sorts);
+    return { sortBy: sort.sortBy, sortDirection: sort.sortDirection };
+  },
+};
+
+export function pickWeighted(items) {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let roll = Math.random() * total;
+  for (const item of items) {
+    roll -= item.weight;
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+function parseWeights(value) {
+  const weights = {};
+  (value || '').split(',').filter((p) => p.trim()).forEach((pair) => {
+    const [name, weight] = pair.split('=').map((s) => s.trim());
+    if (weight === undefined) {
+      throw new Error(`SEARCH_WEIGHTS: "${pair.trim()}" is not shape=weight`);
+    }
+    const w = weight ? Number(weight) : NaN;
+    if (!(w >= 0 && w < Infinity)) {
+      throw new Error(`SEARCH_WEIGHTS: "${name}" must be a weight of 0 or more, got "${weight}"`);
+    }
+    weights[name] = w;
+  });
+  return weights;
+}
+
+// Profile fixture ID at `position`, e.g. fixtureId('provinceIds', 0)
+function fixtureId(list, position) {
+  const ids = profileFixtures[list] || [];
+  if (!(position >= 0 && position < ids.length)) {
+    throw new Error(`Search fixtures: position ${position} is outside the profile's fixtures.${list} (${ids.length} IDs)`);
+  }
+  return ids[position];
+}
+
+// Fills in `id` / `ids` of entries that refer to the profile fixtures by position
+function resolveIds(fixtures) {
+  return Object.assign({}, fixtures, {
+    provinces: fixtures.provinces.map((p) => (p.id !== undefined ? p
+      : Object.assign({}, p, { id: fixtureId('provinceIds', p.position) }))),
+    amenitySets: fixtures.amenitySets.map((a) => (a.ids !== undefined ? a
+      : Object.assign({}, a, { ids: a.positions.map((i) => fixtureId('amenityIds', i)) }))),
+  });
+}
+
+// Must be called from the init context (open)
+export function createSearchWorkload() {
+  const path = __ENV.SEARCH_FIXTURES || profile.searchFixtures || 'data/search-fixtures.json';
+  const fixtures = resolveIds(JSON.parse(open(resolvePath(path))));
+  const overrides = parseWeights(__ENV.SEARCH_WEIGHTS);
+
+  const shapes = fixtures.shapes.map((shape) => {
+    shape.filters.forEach((name) => {
+      if (!FILTERS[name]) {
+        throw new Error(`Search shape "${shape.name}" uses unknown filter "${name}". Available: ${Object.keys(FILTERS).join(', ')}`);
+      }
+    });
+    const weight = overrides[shape.name] !== undefined ? overrides[shape.name] : shape.weight;
+    return Object.assign({}, shape, { weight: weight });
+  });
+  Object.keys(overrides).forEach((name) => {
+    if (!shapes.some((s) => s.name === name)) {
+      throw new Error(`SEARCH_WEIGHTS: unknown shape "${name}". Available: ${shapes.map((s) => s.name).join(', ')}`);
+    }
+  });
+
+  const active = shapes.filter((s) => s.weight > 0);
+  if (active.length === 0) {
+    throw new Error(`Search fixtures ${path}: every shape has weight 0`);
+  }
+
+  return {
+    shapes: active.map((s) => s.name),
+
+    // { shape, filters } - filters is the search request body
+    next: function () {
+      const shape = pickWeighted(active);
+      const filters = { page: pickWeighted(fixtures.pageDepth).page, size: fixtures.size || 10 };
+      shape.filters.forEach((name) => Object.assign(filters, FILTERS[name](fixtures)));
+      return { shape: shape.name, filters: filters };
+    },
+  };
+}
+
+// One search_duration threshold per shape (also makes k6 keep the submetrics)
+export function searchThresholds(workload, limits) {
+  const thresholds = {};
+  workload.shapes.forEach((shape) => {
+    thresholds[`search_duration{filter_shape:${shape}}`] = limits;
+  });
+  return thresholds;
+}
@@ -0,0 +1,110 @@
+import encoding from 'k6/encoding';
+
+// ============================================================
+// AUTH SESSION
+// Logs in once per VU (or once in setup()), caches the access token
+// per account, refreshes it shortly before expiry and after a 401.
+//
+// __ENV:
+//   AUTH_MODE             vu (default)  - login once per VU and reuse the token
+//                         setup         - login in setup(), VUs reuse those tokens
+//                         iteration     - login on every iteration (auth stress test)
+//   AUTH_REFRESH_MARGIN   seconds before `exp` to refresh (default 60)
+//   AUTH_TOKEN_TTL        assumed lifetime (s) when the token has no `exp` (default 300)
+// ============================================================
+
+export const AUTH_MODES = ['vu', 'setup', 'iteration'];
+
+// `exp` claim of a JWT access token in ms, null if it cannot be decoded
+export function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(encoding.b64decode(token.split('.')[1], 'rawurl', 's'));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+// options.admin: authenticate through /v1/auth/admin
+export function createSession(api, options = {}) {
+  const mode = __ENV.AUTH_MODE || 'vu';
+  if (AUTH_MODES.indexOf(mode) === -1) {
+    throw new Error(`Unknown AUTH_MODE "${mode}". Available: ${AUTH_MODES.join(', ')}`);
+  }
+  const refreshMargin = Number(__ENV.AUTH_REFRESH_MARGIN || 60) * 1000;
+  const fallbackTtl = Number(__ENV.AUTH_TOKEN_TTL || 300) * 1000;
+
+  // Per VU: email -> { accessToken, refreshToken, expiresAt }
+  const cache = {};
+  let current = null;
+  let seeded = false;
+
+  function store(account, auth) {
+    if (!auth) {
+      delete cache[account.email];
+      return null;
+    }
+    cache[account.email] = {
+      accessToken: auth.accessToken,
+      refreshToken: auth.refreshToken,
+      expiresAt: tokenExpiry(auth.accessToken) || Date.now() + fallbackTtl,
+    };
+    return auth.accessToken;
+  }
+
+  function authenticate(account) {
+    return store(account, api.auth.authenticate(account, { admin: options.admin }));
+  }
+
+  function valid(account) {
+    const entry = cache[account.email];
+    if (!entry) return null;
+    if (Date.now() < entry.expiresAt - refreshMargin) return entry.accessToken;
+
+    // Close to expiry: refresh, fall back to a full login
+    if (entry.refreshToken) {
+      const refreshed = api.auth.refresh(entry.refreshToken);
+      if (refreshed) return store(account, refreshed);
+    }
+    return authenticate(account);
+  }
+
+  return {
+    mode: mode,
+
+    // Token for this iteration's account; logs in only when needed
+    login: function (account) {
+      current = account;
+      if (mode === 'iteration') return authenticate(account);
+      return valid(account) || authenticate(account);
+    },
+
+    // Used by the client for every authenticated request
+    token: function () {
+      return current ? valid(current) : null;
+    },
+
+    // Called by the client after a 401: drop the token and log in again
+    invalidate: function () {
+      if (!current) return null;
+      delete cache[current.email];
+      return authenticate(current);
+    },
+
+    // setup(): log in every account once (AUTH_MODE=setup only)
+    prefetch: function (accounts) {
+      if (mode !== 'setup') return {};
+      accounts.forEach((account) => authenticate(account));
+      return cache;
+    },
+
+    // default(): adopt the tokens returned from setup()
+    seed: function (tokens) {
+      if (seeded || !tokens) return;
+      Object.keys(tokens).forEach((email) => {
+        cache[email] = Object.assign({}, tokens[email]);
+      });
+      seeded = true;
+    },
+  };
+}
@@ -0,0 +1,430 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { outcomeMode, classifyRejection } from './outcomes.js';
+import { validateSchema } from './schemas.js';
+
+// ============================================================
+// SMARTRENT API CLIENT
+// Shared endpoint methods used by every scenario. Each call
+// records its Trend metric, runs the standard checks and updates
+// the shared error/success metrics in one place.
+//
+// Usage:
+//   const api = createClient({ baseUrl, metrics: { login: loginDuration }, errors, successes });
+//   const token = api.auth.login(TEST_USER);
+//   const user = api.as(token);        // or api.as(session), see session.js
+//   user.listings.detail(listingId);
+//
+// `record: false` builds a client that records nothing - no Trends, checks,
+// error/success or rejection counts - for cleanup traffic (see cleanup.js).
+// ============================================================
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// Parse `{ data: ... }` envelope, undefined if the body is not JSON
+export function parseData(res) {
+  try {
+    const body = JSON.parse(res.body);
+    return body.data;
+  } catch {
+    return undefined;
+  }
+}
+
+// Log each contract violation once per VU and endpoint, the check counts the rest
+const reportedDrift = {};
+
+function schemaError(schema, res, endpoint) {
+  let error;
+  try {
+    error = validateSchema(schema, JSON.parse(res.body).data);
+  } catch (e) {
+    error = e instanceof SyntaxError ? 'body is not JSON' : e.message;
+  }
+  if (error && !reportedDrift[`${endpoint} ${schema}`]) {
+    reportedDrift[`${endpoint} ${schema}`] = true;
+    console.warn(`${endpoint} does not match the ${schema} schema: ${error}`);
+  }
+  return error;
+}
+
+function formatLimit(ms) {
+  return ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+}
+
+// ============================================================
+// REQUEST CORE
+// spec: endpoint definition (method, path, metric, label, expected statuses,
+//       business rejection codes - see outcomes.js, response schema - see schemas.js)
+// opts: per-call overrides from the scenario (checks, maxDuration, expect, tolerate, tags)
+// ============================================================
+function send(ctx, spec, opts, token) {
+  const headers = token
+    ? Object.assign({}, JSON_HEADERS, { 'Authorization': `Bearer ${token}` })
+    : JSON_HEADERS;
+  const params = {
+    headers: headers,
+    tags: Object.assign({ name: spec.name, endpoint: spec.metric }, opts.tags),
+  };
+  const payload = spec.body === undefined ? null : JSON.stringify(spec.body);
+  return http.request(spec.method, `${ctx.baseUrl}${spec.path}`, payload, params);
+}
+
+function call(ctx, spec, opts = {}) {
+  // Resolve the token first: a refresh or re-login is not endpoint latency
+  const token = ctx.session ? ctx.session.token() : ctx.token;
+  let startTime = new Date();
+  let res = send(ctx, spec, opts, token);
+
+  // Session token rejected (expired/revoked): log in again and retry once.
+  // Only the retry is timed - the rejected request and the re-login are not endpoint latency.
+  if (res.status === 401 && ctx.session) {
+    const renewed = ctx.session.invalidate();
+    if (renewed) {
+      startTime = new Date();
+      res = send(ctx, spec, opts, renewed);
+    }
+  }
+
+  const trend = ctx.metrics[opts.metric || spec.metric];
+  if (trend && ctx.record) trend.add(new Date() - startTime, opts.tags);
+
+  const label = opts.label || spec.label;
+  const expect = opts.expect || spec.expect || [200];
+  const tolerate = opts.tolerate || spec.tolerate || [];
+  const accepted = expect.concat(tolerate);
+
+  // Declared business rejection (no quota, not owner): passes only in lenient mode
+  const rejections = opts.rejections || spec.rejections || [];
+  const reason = ctx.record ? classifyRejection(res, opts.metric || spec.metric, rejections) : null;
+  const lenientOutcomes = ctx.outcomeMode === 'lenient' && rejections.length > 0;
+
+  const checks = {};
+  const statusCheck = lenientOutcomes
+    ? `${label} status is ${accepted.join('/')} or ${rejections.join('/')}`
+    : `${label} status is ${accepted.join('/')}`;
+  checks[statusCheck] = (r) => accepted.indexOf(r.status) !== -1 || (lenientOutcomes && reason !== null);
+
+  // Contract check on successful responses only - errors use the error envelope
+  const schema = opts.schema || spec.schema;
+  if (schema && res.status < 300 && expect.indexOf(res.status) !== -1) {
+    checks[`${label} matches ${schema} schema`] = (r) => !schemaError(schema, r, spec.name);
+  }
+
+  const validate = opts.validate || spec.validate;
+  if (validate) {
+    checks[`${label} ${validate.name}`] = (r) => {
+      try {
+        return Boolean(validate.fn(JSON.parse(r.body).data));
+      } catch {
+        return false;
+      }
+    };
+  }
+  if (opts.maxDuration) {
+    checks[`${label} response time < ${formatLimit(opts.maxDuration)}`] =
+      (r) => r.timings.duration < opts.maxDuration;
+  }
+  Object.assign(checks, opts.checks);
+
+  const ok = ctx.record ? check(res, checks) : Object.keys(checks).every((name) => checks[name](res));
+  // Tolerated statuses and business rejections pass the check but are not successes
+  const rejected = reason !== null || tolerate.indexOf(res.status) !== -1;
+
+  if (ctx.errors) ctx.errors.add(ok ? 0 : 1);
+  if (ok && !rejected && ctx.successes) ctx.successes.add(1);
+
+  return { res: res, ok: ok, rejected: rejected, reason: reason, data: parseData(res) };
+}
+
+const hasData = { name: 'has data', fn: (data) => data !== undefined };
+const hasItems = { name: 'has data', fn: (data) => Array.isArray(data) && data.length > 0 };
+
+// ============================================================
+// ENDPOINTS
+// ============================================================
+function buildApi(ctx) {
+  // Returns the auth data ({ accessToken, refreshToken }) or null
+  function authCall(spec, opts) {
+    const result = call(ctx, Object.assign({
+      method: 'POST',
+      name: `POST ${spec.path}`,
+      schema: 'auth',
+      validate: { name: 'has access token', fn: (data) => data && data.accessToken },
+    }, spec), opts);
+
+    if (!result.ok) {
+      console.log(`${spec.label.charAt(0).toUpperCase()}${spec.label.slice(1)} failed: ${result.res.status} - ${result.res.body}`);
+      return null;
+    }
+    return result.data;
+  }
+
+  // opts.admin: use the admin login endpoint
+  function authenticate(credentials, opts = {}) {
+    const body = { email: credentials.email, password: credentials.password };
+    return opts.admin
+      ? authCall({ path: '/v1/auth/admin', body: body, metric: 'adminLogin', label: 'admin login' }, opts)
+      : authCall({ path: '/v1/auth', body: body, metric: 'login', label: 'login' }, opts);
+  }
+
+  return {
+    // Same endpoints, sending `Authorization: Bearer <token>`. Accepts a token
+    // string or a session (session.js), which also re-authenticates on 401.
+    as: (auth) => buildApi(Object.assign({}, ctx, typeof auth === 'string'
+      ? { token: auth, session: null }
+      : { token: null, session: auth })),
+
+    auth: {
+      authenticate: authenticate,
+      login: (credentials, opts) => {
+        const auth = authenticate(credentials, opts);
+        return auth ? auth.accessToken : null;
+      },
+      adminLogin: (credentials, opts) => {
+        const auth = authenticate(credentials, Object.assign({}, opts, { admin: true }));
+        return auth ? auth.accessToken : null;
+      },
+      refresh: (refreshToken, opts) => authCall({
+        path: '/v1/auth/refresh',
+        body: { refreshToken: refreshToken },
+        metric: 'refreshToken',
+        label: 'refresh token',
+      }, opts),
+    },
+
+    listings: {
+      // opts.requireItems: "has data" also requires a non-empty page
+      list: (query = {}, opts = {}) => {
+        const page = query.page || 1;
+        const size = query.size || 10;
+        const mine = query.mine ? '&mine=true' : '';
+        return call(ctx, {
+          method: 'GET',
+          path: `/v1/listings?page=${page}&size=${size}${mine}`,
+          name: query.mine ? 'GET /v1/listings?mine=true' : 'GET /v1/listings',
+          metric: query.mine ? 'myListings' : 'listings',
+          schema: 'listingPage',
+          label: query.mine ? 'my listings' : 'get listings',
+          validate: opts.requireItems ? hasItems : hasData,
+        }, opts);
+      },
+      mine: function (query = {}, opts = {}) {
+        return this.list(Object.assign({}, query, { mine: true }), opts);
+      },
+      detail: (listingId, opts) => call(ctx, {
+        method: 'GET',
+        path: `/v1/listings/${listingId}`,
+        name: 'GET /v1/listings/{id}',
+        metric: 'listingDetail',
+        schema: 'listing',
+        label: 'listing detail',
+        validate: { name: 'has data', fn: (data) => data && data.listingId },
+      }, opts),
+      search: (filters, opts) => call(ctx, {
+        method: 'POST',
+        path: '/v1/listings/search',
+        name: 'POST /v1/listings/search',
+        body: filters,
+        metric: 'search',
+        schema: 'listingPage',
+        label: 'search',
+        validate: hasData,
+      }, opts),
+      create: (listing, opts) => call(ctx, {
+        method: 'POST',
+        path: '/v1/listings',
+        name: 'POST /v1/listings',
+        body: listing,
+        metric: 'createListing',
+        schema: 'listing',
+        label: 'create listing',
+        expect: [200, 201],
+        rejections: ['INSUFFICIENT_QUOTA'],
+      }, opts),
+      remove: (listingId, opts) => call(ctx, {
+        method: 'DELETE',
+        path: `/v1/listings/${listingId}`,
+        name: 'DELETE /v1/listings/{id}',
+        metric: 'deleteListing',
+        label: 'delete listing',
+        expect: [200, 204],
+      }, opts),
+      // For deployments that don't allow deleting listings (405 on DELETE)
+      archive: (listingId, opts) => call(ctx, {
+        method: 'PATCH',
+        path: `/v1/listings/${listingId}`,
+        name: 'PATCH /v1/listings/{id}',
+        body: { status: 'ARCHIVED' },
+        metric: 'archiveListing',
+        schema: 'listing',
+        label: 'archive listing',
+      }, opts),
+      // Back to the moderation queue after a rejection, with corrected fields
+      resubmit: (listingId, changes, opts) => call(ctx, {
+        method: 'PATCH',
+        path: `/v1/listings/${listingId}`,
+        name: 'PATCH /v1/listings/{id}',
+        body: Object.assign({}, changes, { status: 'PENDING' }),
+        metric: 'resubmitListing',
+        schema: 'listing',
+        label: 'resubmit listing',
+        validate: { name: 'is pending again', fn: (data) => data && data.status === 'PENDING' },
+      }, opts),
+    },
+
+    stats: {
+      provinces: (opts) => call(ctx, {
+        method: 'POST',
+        path: '/v1/listings/stats/provinces',
+        name: 'POST /v1/listings/stats/provinces',
+        body: {},
+        metric: 'statsProvinces',
+        schema: 'provinceStats',
+        label: 'stats province',
+        validate: hasData,
+      }, opts),
+      categories: (opts) => call(ctx, {
+        method: 'POST',
+        path: '/v1/listings/stats/categories',
+        name: 'POST /v1/listings/stats/categories',
+        body: {},
+        metric: 'statsCategories',
+        schema: 'categoryStats',
+        label: 'stats category',
+        validate: hasData,
+      }, opts),
+    },
+
+    savedListings: {
+      // 409 = already saved
+      save: (listingId, opts) => call(ctx, {
+        method: 'POST',
+        path: '/v1/saved-listings',
+        name: 'POST /v1/saved-listings',
+        body: { listingId: listingId },
+        metric: 'saveListing',
+        schema: 'savedListing',
+        label: 'save listing',
+        expect: [200, 201, 409],
+      }, opts),
+      list: (opts) => call(ctx, {
+        method: 'GET',
+        path: '/v1/saved-listings',
+        name: 'GET /v1/saved-listings',
+        metric: 'savedListings',
+        schema: 'savedListings',
+        label: 'saved listings',
+        validate: hasData,
+      }, opts),
+      remove: (listingId, opts) => call(ctx, {
+        method: 'DELETE',
+        path: `/v1/saved-listings/${listingId}`,
+        name: 'DELETE /v1/saved-listings/{id}',
+        metric: 'unsaveListing',
+        label: 'unsave listing',
+        expect: [200, 204],
+      }, opts),
+    },
+
+    pushes: {
+      push: (listingId, opts) => call(ctx, {
+        method: 'POST',
+        path: '/v1/pushes/push',
+        name: 'POST /v1/pushes/push',
+        body: { listingId: listingId, useMembershipQuota: true },
+        metric: 'pushListing',
+        schema: 'push',
+        label: 'push listing',
+        expect: [200, 201],
+        rejections: ['INSUFFICIENT_QUOTA', 'NOT_OWNER'],
+      }, opts),
+    },
+
+    admin: {
+      // Listings of every status; some deployments serve this from the public search
+      searchListings: (filters, opts) => call(ctx, {
+        method: 'POST',
+        path: ctx.adminSearchPath,
+        name: `POST ${ctx.adminSearchPath}`,
+        body: filters,
+        metric: 'adminSearch',
+        schema: 'listingPage',
+        label: 'admin search',
+        validate: hasData,
+      }, opts),
+      // 403 = no permission, 404 = not found (may already be processed)
+      updateListingStatus: (listingId, update, opts) => call(ctx, {
+        method: 'PUT',
+        path: `/v1/admin/listings/${listingId}/status`,
+        name: 'PUT /v1/admin/listings/{id}/status',
+        body: update,
+        metric: 'updateStatus',
+        schema: 'listing',
+        label: 'update status',
+        tolerate: [403, 404],
+      }, opts),
+    },
+
+    reports: {
+      create: (listingId, report, opts) => call(ctx, {
+        method: 'POST',
+        path: `/v1/listings/${listingId}/reports`,
+        name: 'POST /v1/listings/{id}/reports',
+        body: report,
+        metric: 'createReport',
+        schema: 'report',
+        label: 'create report',
+        expect: [200, 201],
+      }, opts),
+      forListing: (listingId, opts) => call(ctx, {
+        method: 'GET',
+        path: `/v1/listings/${listingId}/reports`,
+        name: 'GET /v1/listings/{id}/reports',
+        metric: 'getReports',
+        schema: 'reports',
+        label: 'get reports',
+        tolerate: [403, 404],
+      }, opts),
+      resolve: (reportId, resolution, opts) => call(ctx, {
+        method: 'PUT',
+        path: `/v1/admin/reports/${reportId}/resolve`,
+        name: 'PUT /v1/admin/reports/{id}/resolve',
+        body: resolution,
+        metric: 'resolveReport',
+        schema: 'report',
+        label: 'resolve report',
+        tolerate: [403, 404],
+      }, opts),
+    },
+
+    health: (opts) => call(ctx, {
+      method: 'GET',
+      path: '/actuator/health',
+      name: 'GET /actuator/health',
+      metric: 'health',
+      label: 'health check',
+      expect: [200, 401],
+    }, opts),
+  };
+}
+
+// config.metrics maps endpoint keys (login, adminLogin, refreshToken, listings, myListings,
+// listingDetail, search, createListing, deleteListing, archiveListing, resubmitListing, statsProvinces,
+// statsCategories, saveListing, savedListings, unsaveListing, pushListing, adminSearch,
+// updateStatus, createReport, getReports, resolveReport, health)
+// to the scenario's Trend objects. Endpoints without a Trend are not timed.
+// config.adminSearchPath: admin listing search (default: the public /v1/listings/search)
+export function createClient(config) {
+  return buildApi({
+    baseUrl: config.baseUrl,
+    metrics: config.metrics || {},
+    errors: config.errors,
+    successes: config.successes,
+    record: config.record !== false,
+    adminSearchPath: config.adminSearchPath || '/v1/listings/search',
+    outcomeMode: outcomeMode(),
+    token: null,
+    session: null,
+  });
+}
@@ -0,0 +1,180 @@
+// ============================================================
+// SUMMARY REPORTER
+// Text summary for handleSummary() built from the summary data itself:
+// thresholds (with PASS/FAIL) come from data.metrics[*].thresholds and
+// every custom Trend / Counter / Rate is discovered, so scripts only
+// pass a title and optional extra sections.
+//
+// Usage:
+//   export function handleSummary(data) {
+//     return {
+//       'stdout': textSummary(data, { title: 'MY TEST', indent: ' ', sections: [accountSummary] }),
+//     };
+//   }
+// ============================================================
+
+const BUILTIN_METRICS = [
+  'checks', 'data_received', 'data_sent', 'dropped_iterations', 'group_duration',
+  'http_reqs', 'iteration_duration', 'iterations', 'vus', 'vus_max',
+];
+
+// Thresholds that only exist to make k6 keep a submetric (see credentials.js)
+const HELPER_THRESHOLD = /^\w+>=0$/;
+
+const COLORS = { PASS: '\x1b[32m', FAIL: '\x1b[31m', reset: '\x1b[0m' };
+
+export function isBuiltinMetric(name) {
+  const base = name.split('{')[0];
+  return BUILTIN_METRICS.indexOf(base) !== -1 || base.indexOf('http_req') === 0;
+}
+
+// 'n/a' instead of throwing on metrics/stats that are missing from the data
+function num(value, digits = 2, unit = '') {
+  return typeof value === 'number' && isFinite(value) ? `${value.toFixed(digits)}${unit}` : 'n/a';
+}
+
+// Custom Trends here are durations in ms, even when created without isTime
+function isTime(name, metric) {
+  return metric.contains === 'time' || /_duration($|\{)/.test(name);
+}
+
+function formatValue(name, metric, stat) {
+  const value = metric.values[stat];
+  if (metric.type === 'rate') return num(value * 100, 2, '%');
+  if (metric.type === 'trend') return num(value, 2, isTime(name, metric) ? 'ms' : '');
+  return num(value, Number.isInteger(value) ? 0 : 2);
+}
+
+// No samples: k6 still reports submetrics declared in thresholds, all zero
+function isEmpty(metric) {
+  if (metric.type === 'trend') return !(metric.values.max > 0) && !metric.values.avg;
+  if (metric.type === 'rate') return !metric.values.passes && !metric.values.fails;
+  return false;
+}
+
+// [{ metric, expression, ok, actual }] for every real threshold, failed first
+export function thresholdResults(data) {
+  const results = [];
+  Object.keys(data.metrics).forEach((name) => {
+    const metric = data.metrics[name];
+    Object.keys(metric.thresholds || {}).forEach((expression) => {
+      if (HELPER_THRESHOLD.test(expression.replace(/\s/g, ''))) return;
+      const stat = expression.split(/\s*[<>=!]/)[0].trim();
+      results.push({
+        metric: name,
+        expression: expression,
+        ok: metric.thresholds[expression].ok,
+        actual: isEmpty(metric) ? 'no samples' : formatValue(name, metric, stat),
+      });
+    });
+  });
+  return results.sort((a, b) => Number(a.ok) - Number(b.ok));
+}
+
+// Custom metrics of one type, parents sorted by name, each followed by its submetrics
+export function customMetrics(data, type) {
+  const names = Object.keys(data.metrics)
+    .filter((name) => data.metrics[name].type === type && !isBuiltinMetric(name));
+  const parents = names.filter((name) => name.indexOf('{') === -1).sort();
+  const ordered = [];
+  parents.forEach((parent) => {
+    ordered.push(parent);
+    names
+      .filter((name) => name.indexOf(`${parent}{`) === 0 && !isEmpty(data.metrics[name]))
+      .sort()
+      .forEach((sub) => ordered.push(sub));
+  });
+  return ordered;
+}
+
+function label(status, colors) {
+  return colors ? `${COLORS[status]}[${status}]${COLORS.reset}` : `[${status}]`;
+}
+
+function thresholdSection(data, indent, colors) {
+  const results = thresholdResults(data);
+  let text = indent + 'THRESHOLDS\n\n';
+  if (results.length === 0) return text + indent + '  (none)\n';
+  results.forEach((r) => {
+    text += indent + `  ${label(r.ok ? 'PASS' : 'FAIL', colors)} ${r.metric} ${r.expression} (actual: ${r.actual})\n`;
+  });
+  return text;
+}
+
+function trendSection(data, indent) {
+  const names = customMetrics(data, 'trend');
+  if (names.length === 0) return '';
+  let text = '\n' + indent + 'CUSTOM TRENDS\n\n';
+  names.forEach((name) => {
+    const metric = data.metrics[name];
+    const sub = name.indexOf('{') !== -1;
+    const prefix = sub ? `    ${name.slice(name.indexOf('{'))}` : `  ${name}`;
+    if (isEmpty(metric)) {
+      text += indent + `${prefix}: no samples\n`;
+      return;
+    }
+    text += indent + `${prefix}: avg ${formatValue(name, metric, 'avg')} | p90 ${formatValue(name, metric, 'p(90)')}` +
+      ` | p95 ${formatValue(name, metric, 'p(95)')} | max ${formatValue(name, metric, 'max')}\n`;
+  });
+  return text;
+}
+
+function counterSection(data, indent) {
+  const names = customMetrics(data, 'counter').concat(customMetrics(data, 'rate'))
+    .filter((name) => name.indexOf('{') === -1);
+  if (names.length === 0) return '';
+  let text = '\n' + indent + 'CUSTOM COUNTERS & RATES\n\n';
+  names.forEach((name) => {
+    const metric = data.metrics[name];
+    text += metric.type === 'rate'
+      ? indent + `  ${name}: ${formatValue(name, metric, 'rate')}\n`
+      : indent + `  ${name}: ${formatValue(name, metric, 'count')}\n`;
+  });
+  return text;
+}
+
+function overallSection(data, indent) {
+  const m = data.metrics;
+  let text = '\n' + indent + 'OVERALL METRICS\n\n';
+  if (m.http_reqs) {
+    text += indent + `  Total Requests: ${formatValue('http_reqs', m.http_reqs, 'count')}\n`;
+    text += indent + `  Request Rate: ${num(m.http_reqs.values.rate, 2, '/s')}\n`;
+  }
+  if (m.iterations) {
+    text += indent + `  Iterations: ${formatValue('iterations', m.iterations, 'count')}\n`;
+  }
+  if (m.checks) {
+    text += indent + `  Checks: ${formatValue('checks', m.checks, 'rate')} passed` +
+      ` (${m.checks.values.passes || 0} / ${(m.checks.values.passes || 0) + (m.checks.values.fails || 0)})\n`;
+  }
+  if (m.http_req_failed) {
+    text += indent + `  HTTP Failures: ${formatValue('http_req_failed', m.http_req_failed, 'rate')}\n`;
+  }
+  if (m.http_req_duration) {
+    text += indent + '  Response Time:\n';
+    ['avg', 'min', 'max', 'p(90)', 'p(95)'].forEach((stat) => {
+      text += indent + `      ${stat.replace(/[()]/g, '')}: ${formatValue('http_req_duration', m.http_req_duration, stat)}\n`;
+    });
+  }
+  return text;
+}
+
+// options.title     report heading
+// options.sections  extra (data, indent) => string sections, printed before OVERALL
+export function textSummary(data, options = {}) {
+  const indent = options.indent || '';
+  const line = '='.repeat(70) + '\n';
+
+  let summary = '\n' + line;
+  summary += indent + `${options.title || 'SMARTRENT PERFORMANCE TEST RESULTS'}\n`;
+  summary += line + '\n';
+  summary += thresholdSection(data, indent, options.enableColors);
+  summary += trendSection(data, indent);
+  summary += counterSection(data, indent);
+  (options.sections || []).forEach((section) => {
+    summary += section(data, indent);
+  });
+  summary += overallSection(data, indent);
+  summary += '\n' + line;
+  return summary;
+}
@@ -0,0 +1,81 @@
+import { sleep } from 'k6';
+import { fixtures } from './config.js';
+import { LISTING_TITLE_PREFIX, listingTitle } from './cleanup.js';
+
+// ============================================================
+// TEST LISTINGS
+// Create payload for the listings a run posts, and the admin side
+// that finds them in the pending queue and moderates them. VUs don't
+// share memory: admins recognise this run's listings by title
+// (see lib/cleanup.js).
+// ============================================================
+
+// POST /v1/listings body titled for this run; `overrides` replaces top-level fields
+export function testListing(run, overrides = {}) {
+  return Object.assign({
+    title: listingTitle(run),
+    description: 'This is a test listing created by K6 performance test. Please ignore.',
+    listingType: 'RENT',
+    categoryId: fixtures.categoryIds[0],
+    price: 8000000,
+    priceUnit: 'MONTH',
+    address: Object.assign({}, fixtures.address, {
+      street: '123 Test Street',
+      detail: 'K6 Performance Test',
+    }),
+    area: 50,
+    bedrooms: 2,
+    bathrooms: 1,
+    amenityIds: fixtures.amenityIds.slice(0, 2),
+    durationDays: 30,
+    useMembershipQuota: true,
+  }, overrides);
+}
+
+// Up to `limit` PENDING listings of this run, oldest first
+export function pendingRunListings(adminApi, run, limit) {
+  const result = adminApi.admin.searchListings({
+    status: 'PENDING',
+    createdFrom: run.startedAt,
+    page: 1,
+    size: 50,
+    sortBy: 'CREATED_AT',
+    sortDirection: 'ASC',
+  }, { label: 'pending queue' });
+
+  const runPrefix = `${LISTING_TITLE_PREFIX} ${run.id} `;
+  if (!result.ok || !Array.isArray(result.data)) return [];
+  return result.data
+    .filter((l) => typeof l.title === 'string' && l.title.indexOf(runPrefix) === 0)
+    .slice(0, limit);
+}
+
+// Approves or rejects (with reason) every listing; approve(listing) decides.
+// Approval reasons are unique, so a re-approval never repeats an earlier reason.
+export function moderateListings(adminApi, listings, approve) {
+  listings.forEach((listing) => {
+    const approved = approve(listing);
+    const status = approved ? 'APPROVED' : 'REJECTED';
+    const reason = approved
+      ? `K6 moderation - approved ${new Date().toISOString()}`
+      : 'K6 moderation - rejected: missing photos';
+
+    // 404 = listing deleted meanwhile
+    adminApi.admin.updateListingStatus(listing.listingId, {
+      verified: approved,
+      status: status,
+      reason: reason,
+    }, {
+      checks: {
+        [`moderation result is ${status}`]: (r) => {
+          try {
+            return r.status !== 200 || JSON.parse(r.body).data.status === status;
+          } catch {
+            return false;
+          }
+        },
+      },
+    });
+    sleep(0.5);
+  });
+}
@@ -0,0 +1,134 @@
+import { group, sleep } from 'k6';
+import { Counter } from 'k6/metrics';
+
+// ============================================================
+// VISITOR FUNNEL
+// Anonymous browsing, no login: landing stats -> listing page ->
+// filtered search -> a few listing details. After every step the
+// visitor leaves with that step's drop-off probability, so each
+// iteration stops somewhere along the funnel like real traffic.
+// funnel_visitors{step} counts the visitors that reached a step.
+//
+// __ENV:
+//   FUNNEL_DROPOFF       drop-off overrides, e.g. "landing=0.5,detail=0.2"
+//                        (default: landing=0.3, list=0.25, search=0.35, detail=0.5)
+//   FUNNEL_MAX_DETAILS   listing details a visitor opens at most (default: 5)
+// ============================================================
+
+export const FUNNEL_STEPS = ['landing', 'list', 'search', 'detail'];
+
+const DEFAULT_DROPOFF = { landing: 0.3, list: 0.25, search: 0.35, detail: 0.5 };
+
+const funnelVisitors = new Counter('funnel_visitors');
+
+function parseDropoff(value) {
+  const dropoff = Object.assign({}, DEFAULT_DROPOFF);
+  (value || '').split(',').filter((p) => p.trim()).forEach((pair) => {
+    const [step, probability] = pair.split('=').map((s) => s.trim());
+    if (FUNNEL_STEPS.indexOf(step) === -1) {
+      throw new Error(`FUNNEL_DROPOFF: unknown step "${step}". Available: ${FUNNEL_STEPS.join(', ')}`);
+    }
+    const p = Number(probability);
+    if (!(p >= 0 && p <= 1)) {
+      throw new Error(`FUNNEL_DROPOFF: "${step}" must be a probability between 0 and 1, got "${probability}"`);
+    }
+    dropoff[step] = p;
+  });
+  return dropoff;
+}
+
+// Random think time in seconds
+function think(min, max) {
+  sleep(min + Math.random() * (max - min));
+}
+
+// Must be called from the init context. `api` is an unauthenticated client,
+// `search` a search workload (search-workload.js) for the filtered search step.
+export function createVisitorFunnel(api, search) {
+  const dropoff = parseDropoff(__ENV.FUNNEL_DROPOFF);
+  const maxDetails = parseInt(__ENV.FUNNEL_MAX_DETAILS || '5', 10);
+
+  // Counts the visitor at this step; true if they leave here
+  function leavesAfter(step) {
+    funnelVisitors.add(1, { step: step });
+    return Math.random() < dropoff[step];
+  }
+
+  return {
+    // One visit, from landing to wherever the visitor drops off
+    run: function () {
+      let candidates = [];
+
+      // ──────────────────────────────────────────────────────────
+      // STEP 1: Landing page stats
+      // ──────────────────────────────────────────────────────────
+      group('1. Landing Stats', function () {
+        api.stats.provinces();
+        api.stats.categories();
+      });
+      if (leavesAfter('landing')) return;
+      think(1, 3);
+
+      // ──────────────────────────────────────────────────────────
+      // STEP 2: Listing page (mostly the first one)
+      // ──────────────────────────────────────────────────────────
+      group('2. Browse Listings', function () {
+        const page = Math.random() < 0.7 ? 1 : Math.floor(Math.random() * 4) + 2;
+        const result = api.listings.list({ page: page, size: 20 });
+        if (result.ok && Array.isArray(result.data)) candidates = result.data;
+      });
+      if (leavesAfter('list')) return;
+      think(2, 5);
+
+      // ──────────────────────────────────────────────────────────
+      // STEP 3: Filtered search - results replace the browsed page
+      // ──────────────────────────────────────────────────────────
+      group('3. Filtered Search', function () {
+        const query = search.next();
+        const result = api.listings.search(query.filters, { tags: { filter_shape: query.shape } });
+        if (result.ok && Array.isArray(result.data) && result.data.length > 0) candidates = result.data;
+      });
+      if (leavesAfter('search') || candidates.length === 0) return;
+      think(2, 5);
+
+      // ──────────────────────────────────────────────────────────
+      // STEP 4: Listing details until the visitor leaves
+      // ──────────────────────────────────────────────────────────
+      group('4. Listing Details', function () {
+        const queue = candidates.slice().sort(() => Math.random() - 0.5).slice(0, maxDetails);
+        for (let i = 0; i < queue.length; i++) {
+          api.listings.detail(queue[i].listingId);
+          if (i === 0 ? leavesAfter('detail') : Math.random() < dropoff.detail) return;
+          think(3, 8);
+        }
+      });
+    },
+  };
+}
+
+// Always-pass thresholds so the summary gets one submetric per step
+export function funnelThresholds() {
+  const thresholds = {};
+  FUNNEL_STEPS.forEach((step) => {
+    thresholds[`funnel_visitors{step:${step}}`] = ['count>=0'];
+  });
+  return thresholds;
+}
+
+// Summary section: visitors per step, share of all visitors and drop-off from the previous step
+export function funnelSummary(data, indent = '') {
+  const counts = FUNNEL_STEPS.map((step) => {
+    const metric = data.metrics[`funnel_visitors{step:${step}}`];
+    return metric ? metric.values.count || 0 : 0;
+  });
+  if (counts[0] === 0) return '';
+
+  let summary = '\n' + indent + 'VISITOR FUNNEL\n\n';
+  FUNNEL_STEPS.forEach((step, i) => {
+    const share = (counts[i] / counts[0]) * 100;
+    const dropped = i === 0 || counts[i - 1] === 0 ? 0 : (1 - counts[i] / counts[i - 1]) * 100;
+    summary += indent + `  ${step}: ${counts[i]} visitors (${share.toFixed(2)}% of landing` +
+      (i === 0 ? ')\n' : `, ${dropped.toFixed(2)}% dropped after ${FUNNEL_STEPS[i - 1]})\n`);
+  });
+  return summary;
+}
@@ -0,0 +1,608 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+// ============================================================
+// SMARTRENT MOCK API SERVER
+// Local stand-in for dev.api.smartrent.io.vn so every k6 script
+// can run offline / in CI. No dependencies, Node 18+.
+//
+// Usage:
+//   node mock/smartrent-mock-server.mjs [--port 8080] [--config mock/mock-config.json]
+//   k6 run -e BASE_URL=http://localhost:8080 scenarios/user-journey-test.js
+//
+// Latency distributions and error injection are configured per
+// route in mock-config.json (route keys match the client metric keys).
+// ============================================================
+
+const DEFAULT_CONFIG = fileURLToPath(new URL('./mock-config.json', import.meta.url));
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+// ============================================================
+// RANDOM / LATENCY
+// ============================================================
+
+// Seeded PRNG (mulberry32) so seed data is identical across runs
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Parameters each latency distribution needs
+const LATENCY_PARAMS = {
+  constant: ['value'],
+  uniform: ['min', 'max'],
+  normal: ['mean', 'stddev'],
+  lognormal: ['median', 'sigma'],
+};
+
+// Validation message for a latency spec, null if sampleLatency() can use it
+export function latencyError(spec) {
+  if (!spec) return null;
+  const params = LATENCY_PARAMS[spec.distribution];
+  if (!params) {
+    return `unknown distribution "${spec.distribution}" (available: ${Object.keys(LATENCY_PARAMS).join(', ')})`;
+  }
+  const invalid = params.find((name) => typeof spec[name] !== 'number' || !Number.isFinite(spec[name]));
+  return invalid ? `${spec.distribution} needs a numeric "${invalid}"` : null;
+}
+
+// Sample a delay (ms) from a latency spec
+export function sampleLatency(spec) {
+  if (!spec) return 0;
+  switch (spec.distribution) {
+    case 'constant':
+      return spec.value;
+    case 'uniform':
+      return spec.min + Math.random() * (spec.max - spec.min);
+    case 'normal':
+      return Math.max(0, spec.mean + gaussian() * spec.stddev);
+    case 'lognormal':
+      return spec.median * Math.exp(gaussian() * spec.sigma);
+    default:
+      throw new Error(`Unknown latency distribution: ${spec.distribution}`);
+  }
+}
+
+// ============================================================
+// SEED DATA
+// ============================================================
+const LISTING_STATUSES = ['APPROVED', 'APPROVED', 'APPROVED', 'PENDING', 'REJECTED'];
+const REPORT_REASONS = ['SPAM', 'WRONG_INFO', 'SCAM', 'DUPLICATE'];
+
+function createStore(config) {
+  const random = createRandom(config.seed || 1);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  // Spread over the hours before start-up, so date-range filters find recent listings
+  const start = Date.now() - (config.listingCount || 100) * 3600 * 1000;
+
+  const store = {
+    users: new Map(),
+    listings: new Map(),
+    reports: new Map(),
+    saved: new Map(),
+    refreshTokens: new Map(),
+    nextListingId: 1,
+    nextReportId: 1,
+    nextUserId: 1,
+  };
+
+  for (const u of config.users || []) {
+    addUser(store, config, u.email, u.role || 'USER', u.quota);
+  }
+
+  const owners = Array.from(store.users.values()).filter((u) => u.role === 'USER');
+  for (let i = 0; i < (config.listingCount || 100); i++) {
+    const status = pick(LISTING_STATUSES);
+    const listing = {
+      listingId: store.nextListingId++,
+      title: `Phòng trọ mẫu #${i + 1}`,
+      description: 'Seeded listing from the SmartRent mock server.',
+      listingType: random() < 0.85 ? 'RENT' : 'SALE',
+      categoryId: 1 + Math.floor(random() * 5),
+      price: 1000000 + Math.round(random() * 29) * 500000,
+      priceUnit: 'MONTH',
+      address: {
+        provinceId: 1 + Math.floor(random() * 10),
+        districtId: 1 + Math.floor(random() * 20),
+        wardId: 1 + Math.floor(random() * 50),
+        street: `${1 + Math.floor(random() * 300)} Mock Street`,
+      },
+      area: 15 + Math.floor(random() * 100),
+      bedrooms: 1 + Math.floor(random() * 4),
+      bathrooms: 1 + Math.floor(random() * 2),
+      amenityIds: [1, 2, 3, 4, 5, 6].filter(() => random() < 0.5),
+      status: status,
+      verified: status === 'APPROVED',
+      ownerId: owners.length > 0 ? pick(owners).userId : 0,
+      createdAt: new Date(start + i * 3600 * 1000).toISOString(),
+      pushedAt: null,
+    };
+    store.listings.set(listing.listingId, listing);
+
+    if (random() < 0.1) {
+      const report = {
+        id: store.nextReportId++,
+        listingId: listing.listingId,
+        reason: pick(REPORT_REASONS),
+        description: 'Seeded report',
+        resolved: false,
+        createdAt: listing.createdAt,
+      };
+      store.reports.set(report.id, report);
+    }
+  }
+
+  return store;
+}
+
+function addUser(store, config, email, role, quota) {
+  const user = {
+    userId: store.nextUserId++,
+    email: email,
+    role: role,
+    quota: Object.assign({}, config.defaultQuota, quota),
+  };
+  store.users.set(email, user);
+  return user;
+}
+
+// ============================================================
+// TOKENS (unsigned JWT shape, so clients can decode `exp`)
+// ============================================================
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function issueToken(user, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: user.email, uid: user.userId, role: user.role, iat: now, exp: now + ttlSeconds };
+  return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function verifyToken(store, header) {
+  if (!header || !header.startsWith('Bearer ')) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(header.slice(7).split('.')[1], 'base64url').toString());
+    if (payload.exp * 1000 < Date.now()) return null;
+    return store.users.get(payload.sub) || null;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================
+// ROUTES
+// Each handler returns [status, body]. Route keys are used to
+// look up latency / error injection settings.
+// ============================================================
+const ok = (data, status = 200) => [status, { data: data }];
+const fail = (status, code, message) => [status, { code: code, message: message, data: null }];
+
+function paginate(items, page, size) {
+  const from = (page - 1) * size;
+  return items.slice(from, from + size);
+}
+
+function sortListings(items, sortBy, direction) {
+  const field = sortBy === 'PRICE' ? 'price' : sortBy === 'AREA' ? 'area' : 'createdAt';
+  const factor = direction === 'ASC' ? 1 : -1;
+  return items.sort((a, b) => (a[field] > b[field] ? factor : a[field] < b[field] ? -factor : 0));
+}
+
+const LIST_FILTERS = ['provinceIds', 'categoryIds', 'amenityIds'];
+const NUMBER_FILTERS = ['page', 'size', 'minPrice', 'maxPrice'];
+
+// Validation message for a malformed search body, null if it is usable
+function filterError(f) {
+  if (typeof f !== 'object' || f === null || Array.isArray(f)) return 'search body must be a JSON object';
+  const invalidList = LIST_FILTERS.find((name) => f[name] != null && !Array.isArray(f[name]));
+  if (invalidList) return `${invalidList} must be an array`;
+  const invalidNumber = NUMBER_FILTERS.find((name) => f[name] != null && !Number.isFinite(f[name]));
+  return invalidNumber ? `${invalidNumber} must be a number` : null;
+}
+
+// Search body filters shared by the public and the admin search (validated by filterError)
+function filterListings(items, f) {
+  if (f.status) items = items.filter((l) => l.status === f.status);
+  if (f.provinceIds && f.provinceIds.length) items = items.filter((l) => f.provinceIds.includes(l.address.provinceId));
+  if (f.categoryIds && f.categoryIds.length) items = items.filter((l) => f.categoryIds.includes(l.categoryId));
+  if (f.minPrice != null) items = items.filter((l) => l.price >= f.minPrice);
+  if (f.maxPrice != null) items = items.filter((l) => l.price <= f.maxPrice);
+  if (f.amenityIds && f.amenityIds.length) items = items.filter((l) => f.amenityIds.every((a) => l.amenityIds.includes(a)));
+  if (f.listingType) items = items.filter((l) => l.listingType === f.listingType);
+  if (f.verified != null) items = items.filter((l) => l.verified === f.verified);
+  if (f.createdFrom) items = items.filter((l) => l.createdAt >= f.createdFrom);
+  if (f.createdTo) items = items.filter((l) => l.createdAt <= f.createdTo);
+  const page = Math.max(1, f.page || 1);
+  const size = Math.min(100, Math.max(1, f.size || 10));
+  return paginate(sortListings(items, f.sortBy, f.sortDirection), page, size);
+}
+
+function countBy(listings, keyOf, idName) {
+  const counts = new Map();
+  for (const l of listings) {
+    const key = keyOf(l);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return Array.from(counts.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([id, count]) => ({ [idName]: id, listingCount: count }));
+}
+
+function createRoutes(store, config) {
+  const publicListings = () =>
+    Array.from(store.listings.values()).filter((l) => l.status === 'APPROVED');
+
+  function login(body, role) {
+    if (!body || !body.email || !body.password) {
+      return fail(400, 'INVALID_REQUEST', 'email and password are required');
+    }
+    let user = store.users.get(body.email);
+    if (!user && config.autoRegister) {
+      user = addUser(store, config, body.email, role);
+    }
+    if (!user) return fail(401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    if (user.role !== role) return fail(403, 'FORBIDDEN', `Account is not ${role}`);
+    return ok(issueTokens(user));
+  }
+
+  function issueTokens(user) {
+    const refreshToken = crypto.randomBytes(16).toString('hex');
+    store.refreshTokens.set(refreshToken, user.email);
+    return {
+      accessToken: issueToken(user, config.tokenTtlSeconds || 900),
+      refreshToken: refreshToken,
+    };
+  }
+
+  return [
+    {
+      key: 'health', method: 'GET', path: /^\/actuator\/health$/,
+      handle: () => [200, { status: 'UP' }],
+    },
+    {
+      key: 'login', method: 'POST', path: /^\/v1\/auth$/,
+      handle: (req) => login(req.body, 'USER'),
+    },
+    {
+      key: 'adminLogin', method: 'POST', path: /^\/v1\/auth\/admin$/,
+      handle: (req) => login(req.body, 'ADMIN'),
+    },
+    {
+      key: 'refreshToken', method: 'POST', path: /^\/v1\/auth\/refresh$/,
+      handle: (req) => {
+        const email = req.body && store.refreshTokens.get(req.body.refreshToken);
+        if (!email) return fail(401, 'INVALID_REFRESH_TOKEN', 'Refresh token is invalid or expired');
+        store.refreshTokens.delete(req.body.refreshToken);
+        return ok(issueTokens(store.users.get(email)));
+      },
+    },
+    {
+      key: 'listings', method: 'GET', path: /^\/v1\/listings$/,
+      handle: (req) => {
+        const page = Math.max(1, parseInt(req.query.get('page') || '1', 10));
+        const size = Math.min(100, Math.max(1, parseInt(req.query.get('size') || '10', 10)));
+        if (req.query.get('mine') === 'true') {
+          if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+          const mine = Array.from(store.listings.values()).filter((l) => l.ownerId === req.user.userId);
+          return ok(paginate(sortListings(mine, 'CREATED_AT', 'DESC'), page, size));
+        }
+        return ok(paginate(sortListings(publicListings(), 'CREATED_AT', 'DESC'), page, size));
+      },
+    },
+    {
+      key: 'search', method: 'POST', path: /^\/v1\/listings\/search$/,
+      handle: (req) => {
+        const error = filterError(req.body || {});
+        if (error) return fail(400, 'VALIDATION_ERROR', error);
+        const f = Object.assign({ status: 'APPROVED' }, req.body);
+        return ok(filterListings(Array.from(store.listings.values()), f));
+      },
+    },
+    {
+      // Every status by default, admins only
+      key: 'adminSearch', method: 'POST', path: /^\/v1\/admin\/listings\/search$/,
+      handle: (req) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        if (req.user.role !== 'ADMIN') return fail(403, 'FORBIDDEN', 'Admin only');
+        const error = filterError(req.body || {});
+        if (error) return fail(400, 'VALIDATION_ERROR', error);
+        return ok(filterListings(Array.from(store.listings.values()), req.body || {}));
+      },
+    },
+    {
+      key: 'statsProvinces', method: 'POST', path: /^\/v1\/listings\/stats\/provinces$/,
+      handle: () => ok(countBy(publicListings(), (l) => l.address.provinceId, 'provinceId')),
+    },
+    {
+      key: 'statsCategories', method: 'POST', path: /^\/v1\/listings\/stats\/categories$/,
+      handle: () => ok(countBy(publicListings(), (l) => l.categoryId, 'categoryId')),
+    },
+    {
+      key: 'getReports', method: 'GET', path: /^\/v1\/listings\/(\d+)\/reports$/,
+      handle: (req, [listingId]) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        if (req.user.role !== 'ADMIN') return fail(403, 'FORBIDDEN', 'Admin only');
+        if (!store.listings.has(Number(listingId))) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        return ok(Array.from(store.reports.values()).filter((r) => r.listingId === Number(listingId)));
+      },
+    },
+    {
+      key: 'createReport', method: 'POST', path: /^\/v1\/listings\/(\d+)\/reports$/,
+      handle: (req, [listingId]) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        if (!store.listings.has(Number(listingId))) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        const b = req.body || {};
+        if (REPORT_REASONS.indexOf(b.reason) === -1) {
+          return fail(400, 'VALIDATION_ERROR', `reason must be one of ${REPORT_REASONS.join(', ')}`);
+        }
+        const report = {
+          id: store.nextReportId++,
+          listingId: Number(listingId),
+          reporterId: req.user.userId,
+          reason: b.reason,
+          description: b.description || '',
+          resolved: false,
+          createdAt: new Date().toISOString(),
+        };
+        store.reports.set(report.id, report);
+        return ok(report, 201);
+      },
+    },
+    {
+      key: 'listingDetail', method: 'GET', path: /^\/v1\/listings\/(\d+)$/,
+      handle: (req, [listingId]) => {
+        const listing = store.listings.get(Number(listingId));
+        if (!listing) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        return ok(listing);
+      },
+    },
+    {
+      key: 'createListing', method: 'POST', path: /^\/v1\/listings$/,
+      handle: (req) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        const b = req.body || {};
+        if (!b.title || !b.address || !b.price) return fail(400, 'VALIDATION_ERROR', 'title, price and address are required');
+        if (b.useMembershipQuota && req.user.quota.listings <= 0) {
+          return fail(400, 'INSUFFICIENT_QUOTA', 'No listing quota left');
+        }
+        if (b.useMembershipQuota) req.user.quota.listings--;
+        const listing = Object.assign({}, b, {
+          listingId: store.nextListingId++,
+          status: 'PENDING',
+          verified: false,
+          ownerId: req.user.userId,
+          createdAt: new Date().toISOString(),
+          pushedAt: null,
+        });
+        delete listing.useMembershipQuota;
+        store.listings.set(listing.listingId, listing);
+        return ok(listing, 201);
+      },
+    },
+    {
+      key: 'deleteListing', method: 'DELETE', path: /^\/v1\/listings\/(\d+)$/,
+      handle: (req, [listingId]) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        const listing = store.listings.get(Number(listingId));
+        if (!listing) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        if (listing.ownerId !== req.user.userId) return fail(403, 'NOT_OWNER', 'Only the owner can delete a listing');
+        store.listings.delete(listing.listingId);
+        for (const [key, saved] of store.saved) {
+          if (saved.listingId === listing.listingId) store.saved.delete(key);
+        }
+        return ok(null);
+      },
+    },
+    {
+      key: 'archiveListing', method: 'PATCH', path: /^\/v1\/listings\/(\d+)$/,
+      handle: (req, [listingId]) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        const listing = store.listings.get(Number(listingId));
+        if (!listing) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        if (listing.ownerId !== req.user.userId) return fail(403, 'NOT_OWNER', 'Only the owner can update a listing');
+        const b = req.body || {};
+        if (b.title) listing.title = b.title;
+        if (b.description) listing.description = b.description;
+        if (b.status) listing.status = b.status;
+        // Re-submitted listings go back to the moderation queue unverified
+        if (b.status === 'PENDING') listing.verified = false;
+        return ok(listing);
+      },
+    },
+    {
+      key: 'saveListing', method: 'POST', path: /^\/v1\/saved-listings$/,
+      handle: (req) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        const listingId = req.body && req.body.listingId;
+        if (!store.listings.has(listingId)) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        const key = `${req.user.userId}:${listingId}`;
+        if (store.saved.has(key)) return fail(409, 'ALREADY_SAVED', 'Listing already saved');
+        const saved = { userId: req.user.userId, listingId: listingId, createdAt: new Date().toISOString() };
+        store.saved.set(key, saved);
+        return ok(saved, 201);
+      },
+    },
+    {
+      key: 'savedListings', method: 'GET', path: /^\/v1\/saved-listings$/,
+      handle: (req) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        return ok(Array.from(store.saved.values()).filter((s) => s.userId === req.user.userId));
+      },
+    },
+    {
+      key: 'unsaveListing', method: 'DELETE', path: /^\/v1\/saved-listings\/(\d+)$/,
+      handle: (req, [listingId]) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        const key = `${req.user.userId}:${listingId}`;
+        if (!store.saved.has(key)) return fail(404, 'NOT_SAVED', 'Listing is not saved');
+        store.saved.delete(key);
+        return ok(null);
+      },
+    },
+    {
+      key: 'pushListing', method: 'POST', path: /^\/v1\/pushes\/push$/,
+      handle: (req) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        const listing = store.listings.get(req.body && req.body.listingId);
+        if (!listing) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        if (listing.ownerId !== req.user.userId) return fail(403, 'NOT_OWNER', 'Only the owner can push a listing');
+        if (req.body.useMembershipQuota && req.user.quota.pushes <= 0) {
+          return fail(400, 'INSUFFICIENT_QUOTA', 'No push quota left');
+        }
+        if (req.body.useMembershipQuota) req.user.quota.pushes--;
+        listing.pushedAt = new Date().toISOString();
+        return ok({ listingId: listing.listingId, pushedAt: listing.pushedAt });
+      },
+    },
+    {
+      key: 'updateStatus', method: 'PUT', path: /^\/v1\/admin\/listings\/(\d+)\/status$/,
+      handle: (req, [listingId]) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        if (req.user.role !== 'ADMIN') return fail(403, 'FORBIDDEN', 'Admin only');
+        const listing = store.listings.get(Number(listingId));
+        if (!listing) return fail(404, 'LISTING_NOT_FOUND', 'Listing not found');
+        const b = req.body || {};
+        listing.verified = Boolean(b.verified);
+        listing.status = b.status || (b.verified ? 'APPROVED' : 'REJECTED');
+        listing.moderationReason = b.reason || null;
+        return ok(listing);
+      },
+    },
+    {
+      key: 'resolveReport', method: 'PUT', path: /^\/v1\/admin\/reports\/(\d+)\/resolve$/,
+      handle: (req, [reportId]) => {
+        if (!req.user) return fail(401, 'UNAUTHORIZED', 'Authentication required');
+        if (req.user.role !== 'ADMIN') return fail(403, 'FORBIDDEN', 'Admin only');
+        const report = store.reports.get(Number(reportId));
+        if (!report) return fail(404, 'REPORT_NOT_FOUND', 'Report not found');
+        report.resolved = req.body ? req.body.resolved !== false : true;
+        report.resolution = req.body && req.body.resolution;
+        return ok(report);
+      },
+    },
+  ];
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString();
+      try {
+        resolve(raw ? JSON.parse(raw) : undefined);
+      } catch {
+        resolve(undefined);
+      }
+    });
+  });
+}
+
+function routeSetting(settings, key) {
+  if (!settings) return undefined;
+  return settings[key] || settings.default;
+}
+
+export function createMockServer(config) {
+  // Checked up front: a bad spec would otherwise fail on the first request
+  for (const [key, spec] of Object.entries(config.latency || {})) {
+    const error = latencyError(spec);
+    if (error) throw new Error(`latency.${key}: ${error}`);
+  }
+
+  const store = createStore(config);
+  const routes = createRoutes(store, config);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+
+    let route = null;
+    let params = [];
+    for (const r of routes) {
+      const match = r.method === req.method && url.pathname.match(r.path);
+      if (match) {
+        route = r;
+        params = match.slice(1);
+        break;
+      }
+    }
+
+    let status;
+    let payload;
+    if (!route) {
+      [status, payload] = fail(404, 'NOT_FOUND', `No mock route for ${req.method} ${url.pathname}`);
+    } else {
+      const delay = sampleLatency(routeSetting(config.latency, route.key));
+      await new Promise((r) => setTimeout(r, delay));
+
+      const injection = routeSetting(config.errors, route.key);
+      if (injection && Math.random() < injection.rate) {
+        const statuses = injection.statuses || [500];
+        status = statuses[Math.floor(Math.random() * statuses.length)];
+        payload = { code: 'INJECTED_ERROR', message: `Injected ${status} on ${route.key}`, data: null };
+      } else {
+        // A handler bug must not take down the server (and every k6 run using it)
+        try {
+          const user = verifyToken(store, req.headers.authorization);
+          [status, payload] = route.handle({ body: body, query: url.searchParams, user: user }, params);
+        } catch (err) {
+          console.error(`${route.key} failed: ${err.stack}`);
+          [status, payload] = fail(500, 'INTERNAL_ERROR', `Mock handler error on ${route.key}: ${err.message}`);
+        }
+      }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+}
+
+// ============================================================
+// CLI
+// ============================================================
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = parseArgs(process.argv.slice(2));
+  const configPath = args.config || process.env.MOCK_CONFIG || DEFAULT_CONFIG;
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const port = Number(args.port || process.env.MOCK_PORT || config.port || 8080);
+
+  let server;
+  try {
+    server = createMockServer(config);
+  } catch (err) {
+    console.error(`Invalid mock config ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+  server.listen(port, () => {
+    console.log(`SmartRent mock API listening on http://localhost:${port} (config: ${configPath})`);
+  });
+}
@@ -3,26 +3,70 @@
 # ============================================================
 # SMARTRENT PERFORMANCE TEST RUNNER
 # Run all K6 performance test scenarios
+#
+# Environment (see config/profiles.json):
+#   PROFILE=dev|staging|local|prod-readonly   target environment
+#   SMARTRENT_USER_PASSWORD / SMARTRENT_ADMIN_PASSWORD   account passwords
+#   LOAD_SHAPE=smoke|light|load|stress   optional stage preset
+#   CLEANUP=false   keep the listings created by the run (cleanup: script/smartrent-cleanup.js)
+#   OUTCOME_MODE=lenient|strict   strict: quota / not-owner rejections count as errors
+#   REPORT_FORMATS=junit,markdown,csv or all   extra reports in results/
+#   BASELINE_AVG_TOLERANCE / BASELINE_P95_TOLERANCE   allowed % over results/baselines/
+#
+# Each run is saved as results/<scenario>-<timestamp>.json and listed in
+# results/results-index.json (GIT_COMMIT defaults to the current commit).
+# Every k6 run gets a RUN_TAG, so the baseline check fails instead of
+# comparing an older run when a run wrote no results.
 # ============================================================
 
 echo "============================================================"
 echo "SMARTRENT PERFORMANCE TEST SUITE"
+echo "Profile: ${PROFILE:-dev}"
 echo "============================================================"
 echo ""
 
 # Create results directory if not exists
 mkdir -p results
 
+# Recorded in the metadata of every run
+export GIT_COMMIT=${GIT_COMMIT:-$(git rev-parse --short HEAD 2>/dev/null || echo unknown)}
+
 # Colors for output
 RED='\033[0;31m'
 GREEN='\033[0;32m'
 YELLOW='\033[1;33m'
 NC='\033[0m' # No Color
 
+# Non-zero when any test or baseline comparison failed
+FAILED=0
+
+# Compare the newest run of a scenario with results/baselines/<scenario>.json (if one was saved)
+check_baseline() {
+    local scenario=$1
+    local baseline="results/baselines/${scenario}.json"
+
+    if [ ! -f "$baseline" ]; then
+        echo "No baseline for ${scenario} (save one: node tools/compare-baseline.mjs --scenario ${scenario} --update)"
+        return
+    fi
+    if ! command -v node &> /dev/null; then
+        echo -e "${YELLOW}node not found - skipping baseline comparison${NC}"
+        return
+    fi
+
+    echo ""
+    node tools/compare-baseline.mjs --scenario "$scenario" --run-tag "$RUN_TAG"
+    if [ $? -ne 0 ]; then
+        echo -e "${RED}[FAIL] Regression against baseline ${baseline}${NC}"
+        FAILED=1
+    fi
+}
+
 # Function to run a test
 run_test() {
     local test_name=$1
     local test_file=$2
+    local scenario=$3
 
     echo ""
     echo "============================================================"
@@ -30,12 +74,19 @@ run_test() {
     echo "============================================================"
     echo ""
 
+    # Lets check_baseline tell this run's results from older ones
+    export RUN_TAG="${scenario:-run}-$(date +%s)-$RANDOM"
     k6 run "$test_file"
 
     if [ $? -eq 0 ]; then
         echo -e "${GREEN}[PASS] ${test_name} completed successfully${NC}"
     else
         echo -e "${RED}[FAIL] ${test_name} failed${NC}"
+        FAILED=1
+    fi
+
+    if [ -n "$scenario" ]; then
+        check_baseline "$scenario"
     fi
 
     echo ""
@@ -55,28 +106,53 @@ echo "1. User Journey Test (login, browse, search, create, push)"
 echo "2. Admin Journey Test (login, filter, update status)"
 echo "3. Core API Test (basic APIs)"
 echo "4. Full API Test (including slow Search)"
-echo "5. Run ALL tests"
+echo "5. Pagination Test (deep pages, page sizes, duplicate/missing IDs)"
+echo "6. Moderation Workflow Test (create, approve/reject, re-submit)"
+echo "7. Report Lifecycle Test (file report, admin resolves it)"
+echo "8. Mixed Load Test (browsers, creators, admins, visitors at once)"
+echo "9. Visitor Funnel Test (anonymous landing, list, search, details)"
+echo "10. Run ALL tests"
 echo ""
-read -p "Enter choice (1-5): " choice
+read -p "Enter choice (1-10): " choice
 
 case $choice in
     1)
-        run_test "User Journey Test" "scenarios/user-journey-test.js"
+        run_test "User Journey Test" "scenarios/user-journey-test.js" "user-journey"
         ;;
     2)
-        run_test "Admin Journey Test" "scenarios/admin-journey-test.js"
+        run_test "Admin Journey Test" "scenarios/admin-journey-test.js" "admin-journey"
         ;;
     3)
-        run_test "Core API Test" "smartrent-core-api-test.js"
+        run_test "Core API Test" "script/smartrent-core-api-test.js" "core-api"
         ;;
     4)
-        run_test "Full API Test" "smartrent-api-test.js"
+        run_test "Full API Test" "script/smartrent-api-test.js" "api-test"
         ;;
     5)
+        run_test "Pagination Test" "scenarios/pagination-test.js" "pagination"
+        ;;
+    6)
+        run_test "Moderation Workflow Test" "scenarios/moderation-test.js" "moderation"
+        ;;
+    7)
+        run_test "Report Lifecycle Test" "scenarios/report-lifecycle-test.js" "report-lifecycle"
+        ;;
+    8)
+        run_test "Mixed Load Test" "scenarios/mixed-load-test.js" "mixed-load"
+        ;;
+    9)
+        run_test "Visitor Funnel Test" "scenarios/visitor-funnel-test.js" "visitor-funnel"
+        ;;
+    10)
         echo "Running all tests sequentially..."
-        run_test "Core API Test" "smartrent-core-api-test.js"
-        run_test "User Journey Test" "scenarios/user-journey-test.js"
-        run_test "Admin Journey Test" "scenarios/admin-journey-test.js"
+        run_test "Core API Test" "script/smartrent-core-api-test.js" "core-api"
+        run_test "User Journey Test" "scenarios/user-journey-test.js" "user-journey"
+        run_test "Admin Journey Test" "scenarios/admin-journey-test.js" "admin-journey"
+        run_test "Pagination Test" "scenarios/pagination-test.js" "pagination"
+        run_test "Moderation Workflow Test" "scenarios/moderation-test.js" "moderation"
+        run_test "Report Lifecycle Test" "scenarios/report-lifecycle-test.js" "report-lifecycle"
+        run_test "Mixed Load Test" "scenarios/mixed-load-test.js" "mixed-load"
+        run_test "Visitor Funnel Test" "scenarios/visitor-funnel-test.js" "visitor-funnel"
         ;;
     *)
         echo -e "${RED}Invalid choice${NC}"
@@ -89,3 +165,5 @@ echo "============================================================"
 echo "TEST SUITE COMPLETED"
 echo "Results saved in ./results/ directory"
 echo "============================================================"
+
+exit $FAILED
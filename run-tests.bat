@@ -2,16 +2,37 @@
 REM ============================================================
 REM SMARTRENT PERFORMANCE TEST RUNNER (Windows)
 REM Run all K6 performance test scenarios
+REM
+REM Environment (see config\profiles.json):
+REM   PROFILE=dev^|staging^|local^|prod-readonly   target environment
+REM   SMARTRENT_USER_PASSWORD / SMARTRENT_ADMIN_PASSWORD   account passwords
+REM   LOAD_SHAPE=smoke^|light^|load^|stress   optional stage preset
+REM   CLEANUP=false   keep the listings created by the run (cleanup: script\smartrent-cleanup.js)
+REM   OUTCOME_MODE=lenient^|strict   strict: quota / not-owner rejections count as errors
+REM   REPORT_FORMATS=junit,markdown,csv or all   extra reports in results/
+REM   BASELINE_AVG_TOLERANCE / BASELINE_P95_TOLERANCE   allowed % over results\baselines\
+REM
+REM Each run is saved as results\<scenario>-<timestamp>.json and listed in
+REM results\results-index.json (GIT_COMMIT defaults to the current commit).
+REM Every k6 run gets a RUN_TAG, so the baseline check fails instead of
+REM comparing an older run when a run wrote no results.
 REM ============================================================
 
 echo ============================================================
 echo SMARTRENT PERFORMANCE TEST SUITE
+if "%PROFILE%"=="" (echo Profile: dev) else (echo Profile: %PROFILE%)
 echo ============================================================
 echo.
 
 REM Create results directory if not exists
 if not exist "results" mkdir results
 
+REM Recorded in the metadata of every run
+if "%GIT_COMMIT%"=="" for /f %%i in ('git rev-parse --short HEAD 2^>nul') do set GIT_COMMIT=%%i
+
+REM Non-zero when any test or baseline comparison failed
+set FAILED=0
+
 REM Check if k6 is installed
 where k6 >nul 2>nul
 if %errorlevel% neq 0 (
@@ -25,15 +46,25 @@ echo 1. User Journey Test (login, browse, search, create, push)
 echo 2. Admin Journey Test (login, filter, update status)
 echo 3. Core API Test (basic APIs)
 echo 4. Full API Test (including slow Search)
-echo 5. Run ALL tests sequentially
+echo 5. Pagination Test (deep pages, page sizes, duplicate/missing IDs)
+echo 6. Moderation Workflow Test (create, approve/reject, re-submit)
+echo 7. Report Lifecycle Test (file report, admin resolves it)
+echo 8. Mixed Load Test (browsers, creators, admins, visitors at once)
+echo 9. Visitor Funnel Test (anonymous landing, list, search, details)
+echo 10. Run ALL tests sequentially
 echo.
-set /p choice="Enter choice (1-5): "
+set /p choice="Enter choice (1-10): "
 
 if "%choice%"=="1" goto user_test
 if "%choice%"=="2" goto admin_test
 if "%choice%"=="3" goto core_test
 if "%choice%"=="4" goto full_test
-if "%choice%"=="5" goto all_tests
+if "%choice%"=="5" goto pagination_test
+if "%choice%"=="6" goto moderation_test
+if "%choice%"=="7" goto report_test
+if "%choice%"=="8" goto mixed_test
+if "%choice%"=="9" goto visitor_test
+if "%choice%"=="10" goto all_tests
 goto invalid
 
 :user_test
@@ -41,7 +72,10 @@ echo.
 echo ============================================================
 echo Running: User Journey Test
 echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
 k6 run scenarios/user-journey-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline user-journey
 goto end
 
 :admin_test
@@ -49,7 +83,10 @@ echo.
 echo ============================================================
 echo Running: Admin Journey Test
 echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
 k6 run scenarios/admin-journey-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline admin-journey
 goto end
 
 :core_test
@@ -57,7 +94,10 @@ echo.
 echo ============================================================
 echo Running: Core API Test
 echo ============================================================
-k6 run smartrent-core-api-test.js
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run script/smartrent-core-api-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline core-api
 goto end
 
 :full_test
@@ -65,7 +105,65 @@ echo.
 echo ============================================================
 echo Running: Full API Test
 echo ============================================================
-k6 run smartrent-api-test.js
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run script/smartrent-api-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline api-test
+goto end
+
+:pagination_test
+echo.
+echo ============================================================
+echo Running: Pagination Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/pagination-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline pagination
+goto end
+
+:moderation_test
+echo.
+echo ============================================================
+echo Running: Moderation Workflow Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/moderation-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline moderation
+goto end
+
+:report_test
+echo.
+echo ============================================================
+echo Running: Report Lifecycle Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/report-lifecycle-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline report-lifecycle
+goto end
+
+:mixed_test
+echo.
+echo ============================================================
+echo Running: Mixed Load Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/mixed-load-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline mixed-load
+goto end
+
+:visitor_test
+echo.
+echo ============================================================
+echo Running: Visitor Funnel Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/visitor-funnel-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline visitor-funnel
 goto end
 
 :all_tests
@@ -73,29 +171,107 @@ echo.
 echo Running all tests sequentially...
 echo.
 echo ============================================================
-echo [1/3] Core API Test
+echo [1/8] Core API Test
 echo ============================================================
-k6 run smartrent-core-api-test.js
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run script/smartrent-core-api-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline core-api
 timeout /t 5 /nobreak >nul
 
 echo.
 echo ============================================================
-echo [2/3] User Journey Test
+echo [2/8] User Journey Test
 echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
 k6 run scenarios/user-journey-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline user-journey
 timeout /t 5 /nobreak >nul
 
 echo.
 echo ============================================================
-echo [3/3] Admin Journey Test
+echo [3/8] Admin Journey Test
 echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
 k6 run scenarios/admin-journey-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline admin-journey
+timeout /t 5 /nobreak >nul
+
+echo.
+echo ============================================================
+echo [4/8] Pagination Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/pagination-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline pagination
+timeout /t 5 /nobreak >nul
+
+echo.
+echo ============================================================
+echo [5/8] Moderation Workflow Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/moderation-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline moderation
+timeout /t 5 /nobreak >nul
+
+echo.
+echo ============================================================
+echo [6/8] Report Lifecycle Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/report-lifecycle-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline report-lifecycle
+timeout /t 5 /nobreak >nul
+
+echo.
+echo ============================================================
+echo [7/8] Mixed Load Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/mixed-load-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline mixed-load
+timeout /t 5 /nobreak >nul
+
+echo.
+echo ============================================================
+echo [8/8] Visitor Funnel Test
+echo ============================================================
+set RUN_TAG=run-%RANDOM%%RANDOM%
+k6 run scenarios/visitor-funnel-test.js
+if errorlevel 1 set FAILED=1
+call :check_baseline visitor-funnel
 goto end
 
 :invalid
 echo Invalid choice
 exit /b 1
 
+REM Compare the newest run of a scenario with results\baselines\<scenario>.json (if one was saved)
+:check_baseline
+if not exist "results\baselines\%~1.json" (
+    echo No baseline for %~1 ^(save one: node tools\compare-baseline.mjs --scenario %~1 --update^)
+    exit /b 0
+)
+where node >nul 2>nul
+if %errorlevel% neq 0 (
+    echo node not found - skipping baseline comparison
+    exit /b 0
+)
+echo.
+node tools\compare-baseline.mjs --scenario %~1 --run-tag %RUN_TAG%
+if errorlevel 1 (
+    echo [FAIL] Regression against baseline results\baselines\%~1.json
+    set FAILED=1
+)
+exit /b 0
+
 :end
 echo.
 echo ============================================================
@@ -103,3 +279,4 @@ echo TEST SUITE COMPLETED
 echo Results saved in .\results\ directory
 echo ============================================================
 pause
+exit /b %FAILED%
@@ -1,12 +1,36 @@
-import http from 'k6/http';
-import { check, group, sleep } from 'k6';
+import { group, sleep } from 'k6';
 import { Rate, Trend, Counter } from 'k6/metrics';
+import { createClient } from '../lib/smartrent-client.js';
+import { createSession } from '../lib/session.js';
+import { BASE_URL, profile, credentials, stages, requireWritable } from '../lib/config.js';
+import { textSummary } from '../lib/summary.js';
+import { reportFiles } from '../lib/report-formats.js';
+import { runFiles } from '../lib/run-history.js';
 
 // ============================================================
 // SMARTRENT ADMIN JOURNEY PERFORMANCE TEST
 // Scenario: Admin login -> filter listings -> update status
+//
+// Filter steps use the admin listing search (profile adminSearchPath,
+// default /v1/listings/search), tagged { filter } per request.
+//
+// __ENV:
+//   ADMIN_DATE_RANGE_DAYS   created-date window of the combined filter (default: 7)
 // ============================================================
 
+// Approves listings and resolves reports - not allowed on read-only profiles
+requireWritable('admin-journey');
+
+const DATE_RANGE_DAYS = parseInt(__ENV.ADMIN_DATE_RANGE_DAYS || '7', 10);
+
+// Filter payloads; `expect` is what every returned listing must match
+const FILTERS = {
+  pending: { filters: { status: 'PENDING' }, expect: { status: 'PENDING' } },
+  approved: { filters: { status: 'APPROVED', verified: true }, expect: { status: 'APPROVED', verified: true } },
+  rejected: { filters: { status: 'REJECTED' }, expect: { status: 'REJECTED' } },
+  combined: { filters: { status: 'PENDING', verified: false }, expect: { status: 'PENDING', verified: false }, dateRange: true },
+};
+
 // Custom metrics
 const errorRate = new Rate('errors');
 const loginDuration = new Trend('admin_login_duration');
@@ -22,12 +46,12 @@ export const options = {
     admin_journey: {
       executor: 'ramping-vus',
       startVUs: 0,
-      stages: [
+      stages: stages([
         { duration: '20s', target: 2 },   // Ramp up to 2 admins
         { duration: '1m', target: 3 },    // Ramp up to 3 admins
         { duration: '1m', target: 3 },    // Stay at 3 admins
         { duration: '20s', target: 0 },   // Ramp down
-      ],
+      ]),
       gracefulRampDown: '10s',
     },
   },
@@ -41,76 +65,87 @@ export const options = {
   },
 };
 
-const BASE_URL = 'https://dev.api.smartrent.io.vn';
-
-// Admin credentials (adjust as needed)
-const ADMIN_USER = {
-  email: 'admin@smartrent.io.vn',
-  password: 'Admin@123',
-};
-
-// Helper: Admin Login
-function adminLogin() {
-  const payload = JSON.stringify({
-    email: ADMIN_USER.email,
-    password: ADMIN_USER.password,
-  });
+// Per-filter latency (also makes k6 keep the submetrics)
+Object.keys(FILTERS).forEach((name) => {
+  options.thresholds[`admin_filter_listings_duration{filter:${name}}`] = ['p(95)<3000'];
+});
+
+// Admin credentials (password from the profile's passwordEnv)
+const ADMIN_USER = credentials('admin');
+
+// Shared SmartRent client - records the Trends below, checks and error rate
+const api = createClient({
+  baseUrl: BASE_URL,
+  adminSearchPath: profile.adminSearchPath,
+  metrics: {
+    adminLogin: loginDuration,
+    adminSearch: filterListingsDuration,
+    updateStatus: updateStatusDuration,
+    getReports: getReportsDuration,
+    resolveReport: resolveReportDuration,
+  },
+  errors: errorRate,
+  successes: successfulOperations,
+});
 
-  const params = {
-    headers: { 'Content-Type': 'application/json' },
-  };
+// Admin session, reused across iterations (see lib/session.js)
+const session = createSession(api, { admin: true });
 
-  const startTime = new Date();
-  const res = http.post(`${BASE_URL}/v1/auth/admin`, payload, params);
-  loginDuration.add(new Date() - startTime);
-
-  const success = check(res, {
-    'admin login status is 200': (r) => r.status === 200,
-    'admin login has access token': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        return body.data && body.data.accessToken;
-      } catch {
-        return false;
-      }
-    },
-  });
+export function setup() {
+  return { auth: session.prefetch([ADMIN_USER]) };
+}
 
-  if (!success) {
-    errorRate.add(1);
-    console.log(`Admin login failed: ${res.status} - ${res.body}`);
-    return null;
+// Runs one FILTERS entry; checks every returned listing against its `expect`
+function filterListings(adminApi, name) {
+  const filter = FILTERS[name];
+  const body = Object.assign({ page: 1, size: 20 }, filter.filters);
+  if (filter.dateRange) {
+    const now = new Date();
+    body.createdFrom = new Date(now.getTime() - DATE_RANGE_DAYS * 24 * 3600 * 1000).toISOString();
+    body.createdTo = now.toISOString();
   }
 
-  errorRate.add(0);
-  successfulOperations.add(1);
-  const body = JSON.parse(res.body);
-  return body.data.accessToken;
-}
+  // Dates compared as instants - the server may send offsets instead of Z
+  const from = Date.parse(body.createdFrom);
+  const to = Date.parse(body.createdTo);
+  const matches = (listing) => {
+    const createdAt = Date.parse(listing.createdAt);
+    return Object.keys(filter.expect).every((field) => listing[field] === filter.expect[field]) &&
+      (!body.createdFrom || (createdAt >= from && createdAt <= to));
+  };
 
-// Helper: Get auth headers
-function getAuthHeaders(token) {
-  return {
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
-    },
+  const checks = {};
+  checks[`filter ${name} returns only matching listings`] = (r) => {
+    try {
+      const data = JSON.parse(r.body).data;
+      return Array.isArray(data) && data.every(matches);
+    } catch {
+      return false;
+    }
   };
+
+  return adminApi.admin.searchListings(body, {
+    label: `filter ${name}`,
+    tags: { filter: name },
+    checks: checks,
+  });
 }
 
 // ============================================================
 // MAIN TEST FUNCTION - ADMIN JOURNEY
 // ============================================================
-export default function () {
+export default function (data) {
   let token = null;
   let pendingListingId = null;
   let reportId = null;
 
+  session.seed(data.auth);
+
   // ──────────────────────────────────────────────────────────
   // STEP 1: Admin Authentication
   // ──────────────────────────────────────────────────────────
   group('1. Admin Authentication', function () {
-    token = adminLogin();
+    token = session.login(ADMIN_USER);
   });
 
   if (!token) {
@@ -118,48 +153,17 @@ export default function () {
     return; // Skip if login failed
   }
 
-  const authParams = getAuthHeaders(token);
+  const adminApi = api.as(session);
 
   // ──────────────────────────────────────────────────────────
   // STEP 2: Filter Listings - By Status (Pending)
   // ──────────────────────────────────────────────────────────
   group('2. Filter - Pending Listings', function () {
-    const filterPayload = JSON.stringify({
-      page: 1,
-      size: 20
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, filterPayload, authParams);
-    filterListingsDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'filter pending status is 200': (r) => r.status === 200,
-      'filter has data': (r) => {
-        try {
-          const body = JSON.parse(r.body);
-          return body.data !== undefined;
-        } catch {
-          return false;
-        }
-      },
-    });
+    const result = filterListings(adminApi, 'pending');
 
-    if (success) {
-      successfulOperations.add(1);
-      errorRate.add(0);
-      // Get first pending listing ID
-      try {
-        const body = JSON.parse(res.body);
-        // data là array trực tiếp
-        if (body.data && Array.isArray(body.data) && body.data.length > 0) {
-          pendingListingId = body.data[0].listingId;
-        }
-      } catch (e) {
-        // ignore
-      }
-    } else {
-      errorRate.add(1);
+    // Get first pending listing ID - data là array trực tiếp
+    if (result.ok && Array.isArray(result.data) && result.data.length > 0) {
+      pendingListingId = result.data[0].listingId;
     }
   });
 
@@ -169,21 +173,7 @@ export default function () {
   // STEP 3: Filter Listings - By Status (Approved)
   // ──────────────────────────────────────────────────────────
   group('3. Filter - Approved Listings', function () {
-    const filterPayload = JSON.stringify({
-      page: 1,
-      size: 20
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, filterPayload, authParams);
-    filterListingsDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'filter approved status is 200': (r) => r.status === 200,
-    });
-
-    errorRate.add(success ? 0 : 1);
-    if (success) successfulOperations.add(1);
+    filterListings(adminApi, 'approved');
   });
 
   sleep(0.5);
@@ -192,44 +182,16 @@ export default function () {
   // STEP 4: Filter Listings - By Status (Rejected)
   // ──────────────────────────────────────────────────────────
   group('4. Filter - Rejected Listings', function () {
-    const filterPayload = JSON.stringify({
-      page: 1,
-      size: 20
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, filterPayload, authParams);
-    filterListingsDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'filter rejected status is 200': (r) => r.status === 200,
-    });
-
-    errorRate.add(success ? 0 : 1);
-    if (success) successfulOperations.add(1);
+    filterListings(adminApi, 'rejected');
   });
 
   sleep(0.5);
 
   // ──────────────────────────────────────────────────────────
-  // STEP 5: Filter Listings - Combined (Status + Date Range)
+  // STEP 5: Filter Listings - Combined (Status + Verification + Date Range)
   // ──────────────────────────────────────────────────────────
   group('5. Filter - Combined', function () {
-    const filterPayload = JSON.stringify({
-      page: 1,
-      size: 20
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, filterPayload, authParams);
-    filterListingsDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'filter combined status is 200': (r) => r.status === 200,
-    });
-
-    errorRate.add(success ? 0 : 1);
-    if (success) successfulOperations.add(1);
+    filterListings(adminApi, 'combined');
   });
 
   sleep(1);
@@ -240,31 +202,14 @@ export default function () {
   // ──────────────────────────────────────────────────────────
   if (pendingListingId) {
     group('6. Update Status - Approve', function () {
-      const updatePayload = JSON.stringify({
+      // 403 = no permission, 404 = not found (may already be approved): tolerated by the client
+      const result = adminApi.admin.updateListingStatus(pendingListingId, {
         verified: true,
         reason: 'K6 Performance Test - Auto Approved',
       });
 
-      const startTime = new Date();
-      const res = http.put(
-        `${BASE_URL}/v1/admin/listings/${pendingListingId}/status`,
-        updatePayload,
-        authParams
-      );
-      updateStatusDuration.add(new Date() - startTime);
-
-      const success = check(res, {
-        'update status is 200 or 403 or 404': (r) =>
-          r.status === 200 || r.status === 403 || r.status === 404,
-      });
-
-      if (res.status === 200) {
-        successfulOperations.add(1);
-        errorRate.add(0);
-      } else {
-        // 403 = no permission, 404 = not found (may already be approved)
-        errorRate.add(0); // Don't count as error
-        console.log(`Update status response: ${res.status}`);
+      if (result.res.status !== 200) {
+        console.log(`Update status response: ${result.res.status}`);
       }
     });
   }
@@ -277,34 +222,11 @@ export default function () {
   group('7. Get Listing Reports', function () {
     // Try to get reports for a listing
     const targetListingId = pendingListingId || 1;
+    const result = adminApi.reports.forListing(targetListingId);
 
-    const startTime = new Date();
-    const res = http.get(
-      `${BASE_URL}/v1/listings/${targetListingId}/reports`,
-      authParams
-    );
-    getReportsDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'get reports status is 200 or 403 or 404': (r) =>
-        r.status === 200 || r.status === 403 || r.status === 404,
-    });
-
-    if (res.status === 200) {
-      successfulOperations.add(1);
-      errorRate.add(0);
-      // Get report ID if available
-      try {
-        const body = JSON.parse(res.body);
-        // data là array trực tiếp
-        if (body.data && Array.isArray(body.data) && body.data.length > 0) {
-          reportId = body.data[0].id;
-        }
-      } catch (e) {
-        // ignore
-      }
-    } else {
-      errorRate.add(0);
+    // Get report ID if available - data là array trực tiếp
+    if (result.res.status === 200 && Array.isArray(result.data) && result.data.length > 0) {
+      reportId = result.data[0].id;
     }
   });
 
@@ -315,28 +237,10 @@ export default function () {
   // ──────────────────────────────────────────────────────────
   if (reportId) {
     group('8. Resolve Report', function () {
-      const resolvePayload = JSON.stringify({
+      adminApi.reports.resolve(reportId, {
         resolved: true,
         resolution: 'K6 Performance Test - Auto Resolved',
       });
-
-      const startTime = new Date();
-      const res = http.put(
-        `${BASE_URL}/v1/admin/reports/${reportId}/resolve`,
-        resolvePayload,
-        authParams
-      );
-      resolveReportDuration.add(new Date() - startTime);
-
-      const success = check(res, {
-        'resolve report status is 200 or 403 or 404': (r) =>
-          r.status === 200 || r.status === 403 || r.status === 404,
-      });
-
-      if (res.status === 200) {
-        successfulOperations.add(1);
-      }
-      errorRate.add(0);
     });
   }
 
@@ -348,62 +252,12 @@ export default function () {
 // SUMMARY HANDLER
 // ============================================================
 export function handleSummary(data) {
-  return {
-    'stdout': textSummary(data, { indent: ' ', enableColors: true }),
-    './results/admin-journey-results.json': JSON.stringify(data, null, 2),
-  };
-}
-
-function textSummary(data, options) {
-  const indent = options.indent || '';
-  let summary = '\n';
-  summary += '='.repeat(70) + '\n';
-  summary += indent + 'SMARTRENT ADMIN JOURNEY PERFORMANCE TEST RESULTS\n';
-  summary += '='.repeat(70) + '\n\n';
-
-  // Thresholds
-  summary += indent + 'THRESHOLDS\n\n';
-  if (data.metrics.http_req_duration) {
-    const p95 = data.metrics.http_req_duration.values['p(95)'];
-    const status = p95 < 3000 ? 'PASS' : 'FAIL';
-    summary += indent + `  [${status}] http_req_duration p(95): ${p95.toFixed(2)}ms (target: <3000ms)\n`;
-  }
-  if (data.metrics.http_req_failed) {
-    const failRate = data.metrics.http_req_failed.values.rate * 100;
-    const status = failRate < 10 ? 'PASS' : 'FAIL';
-    summary += indent + `  [${status}] http_req_failed rate: ${failRate.toFixed(2)}% (target: <10%)\n`;
-  }
-
-  // API Performance by Step
-  summary += '\n' + indent + 'ADMIN API PERFORMANCE\n\n';
-
-  const metrics = [
-    { key: 'admin_login_duration', name: '1. Admin Login' },
-    { key: 'admin_filter_listings_duration', name: '2-5. Filter Listings' },
-    { key: 'admin_update_status_duration', name: '6. Update Status' },
-    { key: 'admin_get_reports_duration', name: '7. Get Reports' },
-    { key: 'admin_resolve_report_duration', name: '8. Resolve Report' },
-  ];
-
-  metrics.forEach(m => {
-    if (data.metrics[m.key]) {
-      const avg = data.metrics[m.key].values.avg;
-      const p95 = data.metrics[m.key].values['p(95)'];
-      summary += indent + `  ${m.name}:\n`;
-      summary += indent + `    avg: ${avg.toFixed(2)}ms | p95: ${p95.toFixed(2)}ms\n`;
-    }
-  });
-
-  // Overall
-  summary += '\n' + indent + 'OVERALL METRICS\n\n';
-  if (data.metrics.http_reqs) {
-    summary += indent + `  Total Requests: ${data.metrics.http_reqs.values.count}\n`;
-    summary += indent + `  Request Rate: ${data.metrics.http_reqs.values.rate.toFixed(2)}/s\n`;
-  }
-  if (data.metrics.successful_operations) {
-    summary += indent + `  Successful Operations: ${data.metrics.successful_operations.values.count}\n`;
-  }
-
-  summary += '\n' + '='.repeat(70) + '\n';
-  return summary;
+  const title = 'SMARTRENT ADMIN JOURNEY PERFORMANCE TEST RESULTS';
+  return Object.assign({
+    'stdout': textSummary(data, {
+      title: title,
+      indent: ' ',
+      enableColors: true,
+    }),
+  }, runFiles(data, 'admin-journey', options, title), reportFiles(data, 'admin-journey', title));
 }
@@ -0,0 +1,385 @@
+import { group, sleep } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import { createClient } from '../lib/smartrent-client.js';
+import { createSession } from '../lib/session.js';
+import { createUserPool, checkUserPool, accountThresholds, accountSummary } from '../lib/credentials.js';
+import { BASE_URL, profile, credentials, stages, requireWritable } from '../lib/config.js';
+import { startRun, cleanupRun, saveListing, undoSaves } from '../lib/cleanup.js';
+import { testListing, pendingRunListings, moderateListings } from '../lib/test-listings.js';
+import { rejectionThresholds, rejectionSummary } from '../lib/outcomes.js';
+import { createSearchWorkload, searchThresholds } from '../lib/search-workload.js';
+import { createVisitorFunnel, funnelThresholds, funnelSummary } from '../lib/visitor-funnel.js';
+import { textSummary } from '../lib/summary.js';
+import { reportFiles } from '../lib/report-formats.js';
+import { runFiles } from '../lib/run-history.js';
+
+// ============================================================
+// SMARTRENT MIXED LOAD TEST
+// All populations in one run, each its own k6 scenario:
+//   browsers:  user login -> list -> detail -> save -> search
+//   creators:  user login -> create listing -> push
+//   admins:    admin login -> pending queue -> approve this run's listings
+//   visitors:  anonymous browse funnel, no login (lib/visitor-funnel.js)
+//
+// The stages give the total VU count; each stage target is split over
+// the populations by share, so they add up to the target and a small
+// population can get 0 VUs (LOAD_SHAPE=smoke runs 1 VU). Populations
+// without any VU are left out of the run. k6 tags every sample with `scenario`, which
+// drives the per-population thresholds and the POPULATIONS summary.
+//
+// __ENV:
+//   POPULATION_MIX   share overrides, e.g. "browsers=60,admins=5,visitors=0"
+//                    (default: browsers=50, creators=15, admins=10, visitors=25)
+// ============================================================
+
+// Creates listings and approves them - not allowed on read-only profiles
+requireWritable('mixed-load');
+
+// Test accounts assigned to user VUs (USER_POOL / USER_POOL_STRATEGY)
+const userPool = createUserPool();
+const ADMIN_USER = credentials('admin');
+
+// Weighted search filter combinations (SEARCH_FIXTURES / SEARCH_WEIGHTS)
+const searchWorkload = createSearchWorkload();
+const SEARCHES_PER_ITERATION = Number(__ENV.SEARCHES_PER_ITERATION || 2);
+
+// This run's pending listings an admin approves per iteration
+const MODERATION_BATCH = 3;
+
+// Population -> exec function, default share and p(95) limit of its requests
+const POPULATIONS = {
+  browsers: { exec: 'browser', weight: 50, p95: 3000 },
+  creators: { exec: 'creator', weight: 15, p95: 3000 },
+  admins: { exec: 'moderator', weight: 10, p95: 3000 },
+  visitors: { exec: 'visitor', weight: 25, p95: 2000 },
+};
+
+// "browsers=60,admins=5" -> { browsers: 60, admins: 5 }
+function populationMix(value) {
+  const weights = {};
+  Object.keys(POPULATIONS).forEach((name) => {
+    weights[name] = POPULATIONS[name].weight;
+  });
+  (value || '').split(',').filter((p) => p.trim()).forEach((pair) => {
+    const [name, weight] = pair.split('=').map((s) => s.trim());
+    if (!POPULATIONS[name]) {
+      throw new Error(`POPULATION_MIX: unknown population "${name}". Available: ${Object.keys(POPULATIONS).join(', ')}`);
+    }
+    const w = weight ? Number(weight) : NaN;
+    if (!(w >= 0 && w < Infinity)) {
+      throw new Error(`POPULATION_MIX: "${name}" must be a share of 0 or more, got "${weight}"`);
+    }
+    weights[name] = w;
+  });
+  return weights;
+}
+
+const mix = populationMix(__ENV.POPULATION_MIX);
+const totalWeight = Object.keys(mix).reduce((sum, name) => sum + mix[name], 0);
+const active = Object.keys(mix).filter((name) => mix[name] > 0);
+if (active.length === 0) {
+  throw new Error('POPULATION_MIX: every population has share 0');
+}
+
+// Total VUs across all populations
+const totalStages = stages([
+  { duration: '30s', target: 10 },  // Ramp up to 10 VUs
+  { duration: '2m', target: 20 },   // Ramp up to 20 VUs
+  { duration: '1m', target: 20 },   // Stay at 20 VUs
+  { duration: '30s', target: 0 },   // Ramp down
+]);
+
+// Population -> stages: every stage target split by share (largest remainder)
+function splitStages(names) {
+  const split = {};
+  names.forEach((name) => {
+    split[name] = [];
+  });
+  totalStages.forEach((stage) => {
+    const exact = names.map((name) => (stage.target * mix[name]) / totalWeight);
+    const vus = exact.map(Math.floor);
+    let left = stage.target - vus.reduce((sum, v) => sum + v, 0);
+    names.map((_, i) => i)
+      .sort((a, b) => (exact[b] - vus[b]) - (exact[a] - vus[a]))
+      .forEach((i) => {
+        if (left > 0) {
+          vus[i]++;
+          left--;
+        }
+      });
+    names.forEach((name, i) => split[name].push({ duration: stage.duration, target: vus[i] }));
+  });
+  return split;
+}
+
+const populationStages = splitStages(active);
+// Populations that get at least one VU in some stage
+const running = active.filter((name) => populationStages[name].some((s) => s.target > 0));
+if (running.length === 0) {
+  throw new Error('Mixed load: the stages give no population any VU');
+}
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const loginDuration = new Trend('login_duration');
+const adminLoginDuration = new Trend('admin_login_duration');
+const listingsDuration = new Trend('get_listings_duration');
+const listingDetailDuration = new Trend('listing_detail_duration');
+const saveListingDuration = new Trend('save_listing_duration');
+const searchDuration = new Trend('search_duration');
+const createListingDuration = new Trend('create_listing_duration');
+const pushListingDuration = new Trend('push_listing_duration');
+const statsProvinceDuration = new Trend('stats_province_duration');
+const statsCategoryDuration = new Trend('stats_category_duration');
+const filterListingsDuration = new Trend('admin_filter_listings_duration');
+const updateStatusDuration = new Trend('admin_update_status_duration');
+const successfulOperations = new Counter('successful_operations');
+
+// Test configuration
+export const options = {
+  scenarios: {},
+  thresholds: Object.assign({
+    http_req_duration: ['p(95)<3000'],
+    http_req_failed: ['rate<0.10'],
+    errors: ['rate<0.10'],
+    login_duration: ['p(95)<2000'],
+    listing_detail_duration: ['p(95)<1000'],
+    search_duration: ['p(95)<5000'],
+    admin_update_status_duration: ['p(95)<2000'],
+  }, searchThresholds(searchWorkload, ['p(95)<5000']), accountThresholds(userPool), rejectionThresholds(), funnelThresholds()),
+};
+
+running.forEach((name) => {
+  options.scenarios[name] = {
+    executor: 'ramping-vus',
+    exec: POPULATIONS[name].exec,
+    startVUs: 0,
+    stages: populationStages[name],
+    gracefulRampDown: '10s',
+  };
+  options.thresholds[`http_req_duration{scenario:${name}}`] = [`p(95)<${POPULATIONS[name].p95}`];
+  options.thresholds[`http_req_failed{scenario:${name}}`] = ['rate<0.10'];
+  options.thresholds[`errors{scenario:${name}}`] = ['rate<0.10'];
+  // Only for the POPULATIONS summary
+  options.thresholds[`http_reqs{scenario:${name}}`] = ['count>=0'];
+  options.thresholds[`iterations{scenario:${name}}`] = ['count>=0'];
+});
+
+// USER_POOL_STRATEGY=unique: fail before the run if the pool is too small
+checkUserPool(userPool, options);
+
+// Shared SmartRent client - records the Trends above, checks and error rate
+const api = createClient({
+  baseUrl: BASE_URL,
+  adminSearchPath: profile.adminSearchPath,
+  metrics: {
+    login: loginDuration,
+    adminLogin: adminLoginDuration,
+    listings: listingsDuration,
+    listingDetail: listingDetailDuration,
+    saveListing: saveListingDuration,
+    search: searchDuration,
+    createListing: createListingDuration,
+    pushListing: pushListingDuration,
+    statsProvinces: statsProvinceDuration,
+    statsCategories: statsCategoryDuration,
+    adminSearch: filterListingsDuration,
+    updateStatus: updateStatusDuration,
+  },
+  errors: errorRate,
+  successes: successfulOperations,
+});
+
+const userSession = createSession(api);
+const adminSession = createSession(api, { admin: true });
+
+// Anonymous visitors use `api` without a token
+const visitorFunnel = createVisitorFunnel(api, searchWorkload);
+
+export function setup() {
+  return {
+    userAuth: userSession.prefetch(userPool.all()),
+    adminAuth: running.indexOf('admins') !== -1 ? adminSession.prefetch([ADMIN_USER]) : null,
+    run: startRun(),
+  };
+}
+
+// Delete the listings this run created (CLEANUP=false keeps them)
+export function teardown(data) {
+  cleanupRun(userPool.all(), data.run);
+}
+
+// Logged-in user client, null if login failed
+function userLogin(data) {
+  let token = null;
+  userSession.seed(data.userAuth);
+  group('1. Authentication', function () {
+    token = userSession.login(userPool.next());
+  });
+  return token ? api.as(userSession) : null;
+}
+
+// ============================================================
+// BROWSERS - LOGGED-IN USERS READING LISTINGS
+// ============================================================
+export function browser(data) {
+  const user = userLogin(data);
+  if (!user) {
+    sleep(1);
+    return; // Skip if login failed
+  }
+
+  let listingId = null;
+
+  group('2. Browse Listings', function () {
+    const page = Math.floor(Math.random() * 5) + 1;
+    const result = user.listings.list({ page: page, size: 10 }, { requireItems: true });
+    if (result.ok) {
+      listingId = result.data[Math.floor(Math.random() * result.data.length)].listingId;
+    }
+  });
+
+  sleep(0.5);
+
+  if (listingId) {
+    group('3. View Listing Detail', function () {
+      user.listings.detail(listingId);
+    });
+
+    sleep(1);
+
+    group('4. Save Listing', function () {
+      saveListing(user, listingId); // 409 = already saved
+    });
+  }
+
+  group('5. Search - Filter Matrix', function () {
+    for (let i = 0; i < SEARCHES_PER_ITERATION; i++) {
+      const search = searchWorkload.next();
+      user.listings.search(search.filters, { tags: { filter_shape: search.shape } });
+      sleep(0.5);
+    }
+  });
+
+  // Unsave what this iteration saved (CLEANUP=false keeps it)
+  undoSaves(userSession);
+
+  sleep(Math.random() + 1);
+}
+
+// ============================================================
+// CREATORS - USERS POSTING LISTINGS
+// ============================================================
+export function creator(data) {
+  const user = userLogin(data);
+  if (!user) {
+    sleep(1);
+    return; // Skip if login failed
+  }
+
+  let createdListingId = null;
+
+  group('2. Create Listing', function () {
+    // Out of quota: business rejection (OUTCOME_MODE=strict counts it as an error)
+    const result = user.listings.create(testListing(data.run, {
+      description: 'Mixed load listing created by K6 performance test. Please ignore.',
+    }));
+
+    if (result.ok && !result.rejected) {
+      createdListingId = result.data.listingId;
+    }
+  });
+
+  sleep(1);
+
+  if (createdListingId) {
+    group('3. Push Listing', function () {
+      user.pushes.push(createdListingId); // No quota left
+    });
+  }
+
+  sleep(Math.random() * 2 + 2);
+}
+
+// ============================================================
+// ADMINS - MODERATING WHILE USERS BROWSE
+// ============================================================
+export function moderator(data) {
+  let token = null;
+  let queue = [];
+
+  adminSession.seed(data.adminAuth);
+
+  group('1. Admin Authentication', function () {
+    token = adminSession.login(ADMIN_USER);
+  });
+
+  if (!token) {
+    sleep(1);
+    return; // Skip if login failed
+  }
+
+  const adminApi = api.as(adminSession);
+
+  // Only listings created by this run's creators
+  group('2. Pending Queue', function () {
+    queue = pendingRunListings(adminApi, data.run, MODERATION_BATCH);
+  });
+
+  sleep(0.5);
+
+  if (queue.length > 0) {
+    group('3. Approve Listings', function () {
+      moderateListings(adminApi, queue, () => true);
+    });
+  }
+
+  group('4. Filter - Approved Listings', function () {
+    adminApi.admin.searchListings({ status: 'APPROVED', verified: true, page: 1, size: 20 }, { label: 'filter approved' });
+  });
+
+  sleep(Math.random() * 2 + 2);
+}
+
+// ============================================================
+// VISITORS - ANONYMOUS, NO LOGIN
+// ============================================================
+export function visitor() {
+  visitorFunnel.run();
+
+  sleep(Math.random() * 2 + 1);
+}
+
+// Summary section: requests, latency and failures per population
+function populationSummary(data, indent = '') {
+  const value = (metric, stat) => (data.metrics[metric] ? data.metrics[metric].values[stat] : undefined);
+
+  let summary = '\n' + indent + 'POPULATIONS\n\n';
+  running.forEach((name) => {
+    const requests = value(`http_reqs{scenario:${name}}`, 'count') || 0;
+    const iterations = value(`iterations{scenario:${name}}`, 'count') || 0;
+    const p95 = value(`http_req_duration{scenario:${name}}`, 'p(95)');
+    const failed = value(`http_req_failed{scenario:${name}}`, 'rate') || 0;
+    const errors = value(`errors{scenario:${name}}`, 'rate') || 0;
+    summary += indent + `  ${name} (${Math.round((mix[name] / totalWeight) * 100)}%): ` +
+      `${requests} requests | ${iterations} iterations | ` +
+      `p95 ${p95 === undefined ? 'n/a' : `${p95.toFixed(2)}ms`} | ` +
+      `failed ${(failed * 100).toFixed(2)}% | errors ${(errors * 100).toFixed(2)}%\n`;
+  });
+  return summary;
+}
+
+// ============================================================
+// SUMMARY HANDLER
+// ============================================================
+export function handleSummary(data) {
+  const title = 'SMARTRENT MIXED LOAD TEST RESULTS';
+  return Object.assign({
+    'stdout': textSummary(data, {
+      title: title,
+      indent: ' ',
+      enableColors: true,
+      sections: [populationSummary, funnelSummary, accountSummary, rejectionSummary],
+    }),
+  }, runFiles(data, 'mixed-load', options, title), reportFiles(data, 'mixed-load', title));
+}
@@ -0,0 +1,319 @@
+import { group, check, sleep } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import { createClient } from '../lib/smartrent-client.js';
+import { createSession } from '../lib/session.js';
+import { createUserPool, checkUserPool, accountThresholds, accountSummary } from '../lib/credentials.js';
+import { BASE_URL, profile, credentials, stages, requireWritable } from '../lib/config.js';
+import { startRun, cleanupRun } from '../lib/cleanup.js';
+import { testListing, pendingRunListings, moderateListings } from '../lib/test-listings.js';
+import { rejectionThresholds, rejectionSummary } from '../lib/outcomes.js';
+import { textSummary } from '../lib/summary.js';
+import { reportFiles } from '../lib/report-formats.js';
+import { runFiles } from '../lib/run-history.js';
+
+// ============================================================
+// SMARTRENT MODERATION WORKFLOW TEST
+// Scenario (two populations running side by side):
+//   creators:   user login -> create listing -> wait for the decision
+//               -> (rejected) check reason, re-submit, wait again
+//   moderators: admin login -> pending queue -> approve / reject with reason
+//
+// VUs don't share memory: moderators find this run's listings in the
+// pending queue by title (see lib/cleanup.js), creators see the decision
+// by polling /v1/listings/{id}. moderation_duration is create -> decision
+// visible to the owner, tagged { decision }.
+//
+// __ENV:
+//   MODERATOR_VUS               admin VUs (default: 1)
+//   REJECT_RATIO                share of first submissions rejected (default: 0.3)
+//   MODERATION_BATCH            listings moderated per admin iteration (default: 5)
+//   MODERATION_POLL_INTERVAL    seconds between status polls (default: 2)
+//   MODERATION_TIMEOUT          seconds a creator waits for a decision (default: 60)
+// ============================================================
+
+// Creates and moderates listings - not allowed on read-only profiles
+requireWritable('moderation');
+
+// Test accounts assigned to creator VUs (USER_POOL / USER_POOL_STRATEGY)
+const userPool = createUserPool();
+const ADMIN_USER = credentials('admin');
+
+const MODERATOR_VUS = parseInt(__ENV.MODERATOR_VUS || '1', 10);
+const REJECT_RATIO = Number(__ENV.REJECT_RATIO || 0.3);
+const MODERATION_BATCH = parseInt(__ENV.MODERATION_BATCH || '5', 10);
+const POLL_INTERVAL = Number(__ENV.MODERATION_POLL_INTERVAL || 2);
+const MODERATION_TIMEOUT = Number(__ENV.MODERATION_TIMEOUT || 60);
+
+// Marks re-submitted listings, which moderators always approve
+const RESUBMITTED = '(resubmitted)';
+const DECISIONS = ['approved', 'rejected', 'resubmitted'];
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const loginDuration = new Trend('login_duration');
+const adminLoginDuration = new Trend('admin_login_duration');
+const createListingDuration = new Trend('create_listing_duration');
+const pendingQueueDuration = new Trend('admin_filter_listings_duration');
+const updateStatusDuration = new Trend('admin_update_status_duration');
+const resubmitDuration = new Trend('resubmit_listing_duration');
+const moderationDuration = new Trend('moderation_duration', true);
+const moderationTimeouts = new Counter('moderation_timeouts');
+const successfulOperations = new Counter('successful_operations');
+
+// "30s" / "1m30s" -> seconds
+function seconds(duration) {
+  const units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+  let total = 0;
+  String(duration).replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (_, value, unit) => {
+    total += Number(value) * units[unit];
+  });
+  return total;
+}
+
+const creatorStages = stages([
+  { duration: '30s', target: 3 },   // Ramp up to 3 creators
+  { duration: '2m', target: 5 },    // Ramp up to 5 creators
+  { duration: '30s', target: 0 },   // Ramp down
+]);
+const creatorSeconds = creatorStages.reduce((sum, stage) => sum + seconds(stage.duration), 0);
+
+// Test configuration
+export const options = {
+  scenarios: {
+    creators: {
+      executor: 'ramping-vus',
+      exec: 'creator',
+      startVUs: 0,
+      stages: creatorStages,
+      // Let the last creators see their decision
+      gracefulRampDown: `${MODERATION_TIMEOUT * 2 + 10}s`,
+    },
+    moderators: {
+      executor: 'constant-vus',
+      exec: 'moderator',
+      vus: MODERATOR_VUS,
+      duration: `${Math.ceil(creatorSeconds + MODERATION_TIMEOUT * 2)}s`,
+    },
+  },
+  thresholds: Object.assign({
+    http_req_duration: ['p(95)<3000'],
+    http_req_failed: ['rate<0.10'],
+    errors: ['rate<0.10'],
+    create_listing_duration: ['p(95)<3000'],
+    admin_update_status_duration: ['p(95)<2000'],
+    moderation_duration: [`p(95)<${MODERATION_TIMEOUT * 1000}`],
+    moderation_timeouts: ['count==0'],
+  }, accountThresholds(userPool), rejectionThresholds()),
+};
+
+// USER_POOL_STRATEGY=unique: fail before the run if the pool is too small
+checkUserPool(userPool, options);
+
+// Per-decision latency (also makes k6 keep the submetrics)
+DECISIONS.forEach((decision) => {
+  options.thresholds[`moderation_duration{decision:${decision}}`] = [`p(95)<${MODERATION_TIMEOUT * 1000}`];
+});
+
+// Shared SmartRent client - records the Trends above, checks and error rate
+const api = createClient({
+  baseUrl: BASE_URL,
+  adminSearchPath: profile.adminSearchPath,
+  metrics: {
+    login: loginDuration,
+    adminLogin: adminLoginDuration,
+    createListing: createListingDuration,
+    adminSearch: pendingQueueDuration,
+    updateStatus: updateStatusDuration,
+    resubmitListing: resubmitDuration,
+  },
+  errors: errorRate,
+  successes: successfulOperations,
+});
+
+const userSession = createSession(api);
+const adminSession = createSession(api, { admin: true });
+
+export function setup() {
+  return {
+    userAuth: userSession.prefetch(userPool.all()),
+    adminAuth: adminSession.prefetch([ADMIN_USER]),
+    run: startRun(),
+  };
+}
+
+// Delete the listings this run created (CLEANUP=false keeps them)
+export function teardown(data) {
+  cleanupRun(userPool.all(), data.run);
+}
+
+// Polls the listing until it leaves PENDING; the listing, or null on timeout.
+// Polls are checked but not timed - listing_detail_duration stays a browse metric.
+function awaitDecision(user, listingId) {
+  const deadline = Date.now() + MODERATION_TIMEOUT * 1000;
+  while (Date.now() < deadline) {
+    sleep(POLL_INTERVAL);
+    const result = user.listings.detail(listingId, { metric: 'moderationPoll', label: 'poll listing status' });
+    if (result.ok && result.data.status !== 'PENDING') return result.data;
+  }
+  moderationTimeouts.add(1);
+  return null;
+}
+
+// ============================================================
+// CREATORS - USER SIDE
+// ============================================================
+export function creator(data) {
+  let token = null;
+  let listing = null;
+  let submittedAt = null;
+
+  userSession.seed(data.userAuth);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 1: Authentication
+  // ──────────────────────────────────────────────────────────
+  group('1. Authentication', function () {
+    token = userSession.login(userPool.next());
+  });
+
+  if (!token) {
+    sleep(1);
+    return; // Skip if login failed
+  }
+
+  const user = api.as(userSession);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 2: Create Listing (enters the pending queue)
+  // ──────────────────────────────────────────────────────────
+  group('2. Create Listing', function () {
+    const result = user.listings.create(testListing(data.run, {
+      description: 'Moderation workflow listing created by K6 performance test. Please ignore.',
+    }));
+
+    // Out of quota: business rejection, nothing to moderate
+    if (result.ok && !result.rejected) {
+      listing = result.data;
+      submittedAt = Date.now();
+    }
+  });
+
+  if (!listing) {
+    sleep(1);
+    return;
+  }
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 3: Await Moderation Decision
+  // ──────────────────────────────────────────────────────────
+  let decided = null;
+  group('3. Await Decision', function () {
+    decided = awaitDecision(user, listing.listingId);
+    if (!decided) return;
+
+    const decision = decided.status === 'APPROVED' ? 'approved' : 'rejected';
+    moderationDuration.add(Date.now() - submittedAt, { decision: decision });
+    check(decided, {
+      'decision is APPROVED or REJECTED': (l) => l.status === 'APPROVED' || l.status === 'REJECTED',
+      'verified matches decision': (l) => l.verified === (l.status === 'APPROVED'),
+      'decision has moderation reason': (l) => typeof l.moderationReason === 'string' && l.moderationReason.length > 0,
+    });
+  });
+
+  if (!decided || decided.status !== 'REJECTED') {
+    sleep(1);
+    return;
+  }
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 4: Re-submit Rejected Listing
+  // ──────────────────────────────────────────────────────────
+  let resubmitted = false;
+  group('4. Re-submit', function () {
+    const result = user.listings.resubmit(listing.listingId, {
+      title: `${listing.title} ${RESUBMITTED}`,
+      description: `${listing.description} Corrected after: ${decided.moderationReason}`,
+    });
+    resubmitted = result.ok;
+    submittedAt = Date.now();
+  });
+
+  if (!resubmitted) return;
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 5: Await Decision on the Re-submission
+  // ──────────────────────────────────────────────────────────
+  group('5. Await Re-moderation', function () {
+    const final = awaitDecision(user, listing.listingId);
+    if (!final) return;
+
+    moderationDuration.add(Date.now() - submittedAt, { decision: 'resubmitted' });
+    check(final, {
+      'resubmitted listing is APPROVED': (l) => l.status === 'APPROVED' && l.verified === true,
+      'approval replaced rejection reason': (l) => l.moderationReason !== decided.moderationReason,
+    });
+  });
+
+  sleep(1);
+}
+
+// ============================================================
+// MODERATORS - ADMIN SIDE
+// ============================================================
+export function moderator(data) {
+  let token = null;
+  let queue = [];
+
+  adminSession.seed(data.adminAuth);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 1: Admin Authentication
+  // ──────────────────────────────────────────────────────────
+  group('1. Admin Authentication', function () {
+    token = adminSession.login(ADMIN_USER);
+  });
+
+  if (!token) {
+    sleep(1);
+    return; // Skip if login failed
+  }
+
+  const adminApi = api.as(adminSession);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 2: Pending Queue (this run's listings only)
+  // ──────────────────────────────────────────────────────────
+  group('2. Pending Queue', function () {
+    // Oldest first, created since the run started
+    queue = pendingRunListings(adminApi, data.run, MODERATION_BATCH);
+  });
+
+  if (queue.length === 0) {
+    sleep(POLL_INTERVAL);
+    return;
+  }
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 3: Approve / Reject with Reason
+  // ──────────────────────────────────────────────────────────
+  group('3. Moderate', function () {
+    // Re-submissions are always approved
+    moderateListings(adminApi, queue, (listing) =>
+      listing.title.indexOf(RESUBMITTED) !== -1 || Math.random() >= REJECT_RATIO);
+  });
+}
+
+// ============================================================
+// SUMMARY HANDLER
+// ============================================================
+export function handleSummary(data) {
+  const title = 'SMARTRENT MODERATION WORKFLOW TEST RESULTS';
+  return Object.assign({
+    'stdout': textSummary(data, {
+      title: title,
+      indent: ' ',
+      enableColors: true,
+      sections: [accountSummary, rejectionSummary],
+    }),
+  }, runFiles(data, 'moderation', options, title), reportFiles(data, 'moderation', title));
+}
@@ -0,0 +1,207 @@
+import { group, sleep, check } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import { createClient } from '../lib/smartrent-client.js';
+import { BASE_URL, stages } from '../lib/config.js';
+import { textSummary } from '../lib/summary.js';
+import { reportFiles } from '../lib/report-formats.js';
+import { runFiles } from '../lib/run-history.js';
+
+// ============================================================
+// SMARTRENT DEEP PAGINATION TEST
+// Scenario: walk GET /v1/listings and POST /v1/listings/search page by
+// page for several page sizes, until an empty page or MAX_PAGES.
+//   - latency per page-number bucket (page_bucket tag)
+//   - no listingId twice across the pages of one walk
+//   - no listingId missing compared with the walk using the largest size
+//     (run alone: listings created meanwhile shift pages and look like drift)
+//
+// __ENV:
+//   PAGE_SIZES            page sizes to walk (default "10,50,100")
+//   MAX_PAGES             deepest page requested (default 50)
+//   DEGRADATION_FACTOR    p95 vs page 1 ratio reported as degraded (default 2)
+// ============================================================
+
+// Whole number >= 1, or an init error naming the setting
+function positiveInt(name, value) {
+  const n = Number(value);
+  if (!(Number.isInteger(n) && n >= 1)) {
+    throw new Error(`${name}: "${value}" is not a whole number of 1 or more`);
+  }
+  return n;
+}
+
+const PAGE_SIZES = (__ENV.PAGE_SIZES || '10,50,100').split(',').map((s) => positiveInt('PAGE_SIZES', s.trim()));
+const MAX_PAGES = positiveInt('MAX_PAGES', __ENV.MAX_PAGES || 50);
+const DEGRADATION_FACTOR = Number(__ENV.DEGRADATION_FACTOR || 2);
+if (!(DEGRADATION_FACTOR > 0 && DEGRADATION_FACTOR < Infinity)) {
+  throw new Error(`DEGRADATION_FACTOR: "${__ENV.DEGRADATION_FACTOR}" is not a number above 0`);
+}
+
+const ENDPOINTS = ['listings', 'search'];
+const PAGE_BUCKETS = ['1', '2-5', '6-10', '11-25', '26-50', '51-100', '>100'];
+
+function pageBucket(page) {
+  if (page === 1) return '1';
+  if (page <= 5) return '2-5';
+  if (page <= 10) return '6-10';
+  if (page <= 25) return '11-25';
+  if (page <= 50) return '26-50';
+  if (page <= 100) return '51-100';
+  return '>100';
+}
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const pageDuration = new Trend('pagination_duration');
+const duplicateIds = new Counter('pagination_duplicates');
+const missingIds = new Counter('pagination_missing');
+const successfulOperations = new Counter('successful_operations');
+
+// Threshold per endpoint and page bucket, so each bucket gets its own submetric
+function bucketThresholds() {
+  const thresholds = {};
+  ENDPOINTS.forEach((endpoint) => {
+    PAGE_BUCKETS.forEach((bucket) => {
+      thresholds[`pagination_duration{endpoint:${endpoint},page_bucket:${bucket}}`] = ['p(95)<3000'];
+    });
+  });
+  PAGE_SIZES.forEach((size) => {
+    thresholds[`pagination_duration{page_size:${size}}`] = ['p(95)<3000'];
+  });
+  return thresholds;
+}
+
+// Test configuration
+export const options = {
+  scenarios: {
+    pagination: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: stages([
+        { duration: '20s', target: 2 },   // Ramp up to 2 walkers
+        { duration: '2m', target: 2 },    // Keep walking
+        { duration: '10s', target: 0 },   // Ramp down
+      ]),
+      gracefulRampDown: '30s',
+    },
+  },
+  thresholds: Object.assign({
+    http_req_failed: ['rate<0.05'],
+    errors: ['rate<0.05'],
+    pagination_duplicates: ['count==0'],
+    pagination_missing: ['count==0'],
+  }, bucketThresholds()),
+};
+
+// Public endpoints - no login needed
+const api = createClient({
+  baseUrl: BASE_URL,
+  metrics: {
+    listings: pageDuration,
+    search: pageDuration,
+  },
+  errors: errorRate,
+  successes: successfulOperations,
+});
+
+function fetchPage(endpoint, page, size) {
+  const opts = {
+    label: `${endpoint} page`,
+    tags: { endpoint: endpoint, page_bucket: pageBucket(page), page_size: String(size) },
+  };
+  return endpoint === 'listings'
+    ? api.listings.list({ page: page, size: size }, opts)
+    : api.listings.search({ page: page, size: size, sortBy: 'CREATED_AT', sortDirection: 'DESC' }, opts);
+}
+
+// listingIds of one walk in page order; stops at an empty/short page
+function walk(endpoint, size) {
+  const ids = [];
+  const seen = {};
+  let duplicates = 0;
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const result = fetchPage(endpoint, page, size);
+    if (!result.ok || !Array.isArray(result.data)) break;
+
+    result.data.forEach((listing) => {
+      if (seen[listing.listingId]) duplicates++;
+      seen[listing.listingId] = true;
+      ids.push(listing.listingId);
+    });
+    if (result.data.length < size) break;
+    sleep(0.1);
+  }
+
+  check(duplicates, { [`${endpoint} no duplicate listingIds across pages`]: (d) => d === 0 });
+  if (duplicates > 0) {
+    duplicateIds.add(duplicates, { endpoint: endpoint });
+    console.warn(`${endpoint} size=${size}: ${duplicates} duplicate listingIds over ${ids.length} items`);
+  }
+  return ids;
+}
+
+// ============================================================
+// MAIN TEST FUNCTION - PAGINATION
+// ============================================================
+export default function () {
+  const sizes = PAGE_SIZES.slice().sort((a, b) => b - a);
+
+  ENDPOINTS.forEach((endpoint) => {
+    group(`Paginate ${endpoint}`, function () {
+      // The largest page size is the reference for "missing" listingIds
+      const reference = walk(endpoint, sizes[0]);
+
+      sizes.slice(1).forEach((size) => {
+        const ids = walk(endpoint, size);
+        const covered = Math.min(ids.length, reference.length);
+        const found = {};
+        ids.forEach((id) => { found[id] = true; });
+        const missing = reference.slice(0, covered).filter((id) => !found[id]).length;
+
+        check(missing, { [`${endpoint} no missing listingIds vs size ${sizes[0]}`]: (m) => m === 0 });
+        if (missing > 0) {
+          missingIds.add(missing, { endpoint: endpoint });
+          console.warn(`${endpoint} size=${size}: ${missing} listingIds of the size=${sizes[0]} walk never returned`);
+        }
+      });
+    });
+    sleep(1);
+  });
+}
+
+// ============================================================
+// SUMMARY HANDLER
+// ============================================================
+export function handleSummary(data) {
+  const title = 'SMARTRENT DEEP PAGINATION TEST RESULTS';
+  return Object.assign({
+    'stdout': textSummary(data, {
+      title: title,
+      indent: ' ',
+      enableColors: true,
+      sections: [degradationSummary],
+    }),
+  }, runFiles(data, 'pagination', options, title), reportFiles(data, 'pagination', title));
+}
+
+// p95 of each page bucket compared with page 1, per endpoint
+function degradationSummary(data, indent) {
+  let summary = '\n' + indent + `LATENCY BY PAGE (degraded = p95 > ${DEGRADATION_FACTOR}x page 1)\n`;
+  ENDPOINTS.forEach((endpoint) => {
+    summary += '\n' + indent + `  ${endpoint}:\n`;
+    const metricOf = (bucket) => data.metrics[`pagination_duration{endpoint:${endpoint},page_bucket:${bucket}}`];
+    const first = metricOf('1');
+    const baseline = first ? first.values['p(95)'] : 0;
+
+    PAGE_BUCKETS.forEach((bucket) => {
+      const metric = metricOf(bucket);
+      if (!metric || !(metric.values.max > 0)) return;
+      const p95 = metric.values['p(95)'];
+      const ratio = baseline > 0 ? p95 / baseline : 1;
+      const flag = ratio > DEGRADATION_FACTOR ? '  <-- degraded' : '';
+      summary += indent + `    page ${bucket}: p95 ${p95.toFixed(2)}ms (${ratio.toFixed(1)}x)${flag}\n`;
+    });
+  });
+  return summary;
+}
@@ -0,0 +1,267 @@
+import { group, check, sleep } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import { createClient } from '../lib/smartrent-client.js';
+import { createSession } from '../lib/session.js';
+import { createUserPool, checkUserPool, accountThresholds, accountSummary } from '../lib/credentials.js';
+import { BASE_URL, credentials, stages, requireWritable } from '../lib/config.js';
+import { startRun } from '../lib/cleanup.js';
+import { textSummary } from '../lib/summary.js';
+import { reportFiles } from '../lib/report-formats.js';
+import { runFiles } from '../lib/run-history.js';
+
+// ============================================================
+// SMARTRENT REPORT LIFECYCLE TEST
+// Scenario (one VU plays both roles):
+//   user:  login -> pick a seeded listing -> file a report
+//   admin: login -> listing reports -> resolve the filed report
+//          -> fetch again, the resolved flag must persist
+//
+// The user files the report and the admin resolves it in the same
+// iteration, so every iteration exercises resolution on a report it
+// knows exists. report_resolution_duration is filed -> resolution
+// confirmed by a fresh GET. Reports cannot be deleted: resolving them
+// is the cleanup.
+//
+// __ENV:
+//   REPORT_PAGES   public listing pages the reported listing is picked from (default: 5)
+// ============================================================
+
+// Files and resolves reports - not allowed on read-only profiles
+requireWritable('report-lifecycle');
+
+// Test accounts assigned to VUs (USER_POOL / USER_POOL_STRATEGY)
+const userPool = createUserPool();
+const ADMIN_USER = credentials('admin');
+
+const REPORT_PAGES = parseInt(__ENV.REPORT_PAGES || '5', 10);
+const REPORT_REASONS = ['SPAM', 'WRONG_INFO', 'SCAM', 'DUPLICATE'];
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const loginDuration = new Trend('login_duration');
+const adminLoginDuration = new Trend('admin_login_duration');
+const getListingsDuration = new Trend('get_listings_duration');
+const createReportDuration = new Trend('create_report_duration');
+const getReportsDuration = new Trend('admin_get_reports_duration');
+const resolveReportDuration = new Trend('admin_resolve_report_duration');
+const resolutionDuration = new Trend('report_resolution_duration', true);
+const resolutionLost = new Counter('report_resolution_lost');
+const successfulOperations = new Counter('successful_operations');
+
+// Test configuration
+export const options = {
+  scenarios: {
+    report_lifecycle: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: stages([
+        { duration: '20s', target: 3 },   // Ramp up to 3 VUs
+        { duration: '1m', target: 5 },    // Ramp up to 5 VUs
+        { duration: '20s', target: 0 },   // Ramp down
+      ]),
+      gracefulRampDown: '30s',
+    },
+  },
+  thresholds: Object.assign({
+    http_req_duration: ['p(95)<3000'],
+    http_req_failed: ['rate<0.10'],
+    errors: ['rate<0.10'],
+    create_report_duration: ['p(95)<2000'],
+    admin_get_reports_duration: ['p(95)<2000'],
+    admin_resolve_report_duration: ['p(95)<2000'],
+    report_resolution_lost: ['count==0'],
+  }, accountThresholds(userPool)),
+};
+
+// USER_POOL_STRATEGY=unique: fail before the run if the pool is too small
+checkUserPool(userPool, options);
+
+// Shared SmartRent client - records the Trends above, checks and error rate
+const api = createClient({
+  baseUrl: BASE_URL,
+  metrics: {
+    login: loginDuration,
+    adminLogin: adminLoginDuration,
+    listings: getListingsDuration,
+    createReport: createReportDuration,
+    getReports: getReportsDuration,
+    resolveReport: resolveReportDuration,
+  },
+  errors: errorRate,
+  successes: successfulOperations,
+});
+
+const userSession = createSession(api);
+const adminSession = createSession(api, { admin: true });
+
+export function setup() {
+  return {
+    userAuth: userSession.prefetch(userPool.all()),
+    adminAuth: adminSession.prefetch([ADMIN_USER]),
+    run: startRun(),
+  };
+}
+
+// The filed report in a GET /v1/listings/{id}/reports result, or null
+function findReport(result, reportId) {
+  if (!result.ok || !Array.isArray(result.data)) return null;
+  return result.data.find((r) => r.id === reportId) || null;
+}
+
+export default function (data) {
+  let token = null;
+  let listing = null;
+  let report = null;
+  let filedAt = null;
+
+  userSession.seed(data.userAuth);
+  adminSession.seed(data.adminAuth);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 1: User Authentication
+  // ──────────────────────────────────────────────────────────
+  group('1. Authentication', function () {
+    token = userSession.login(userPool.next());
+  });
+
+  if (!token) {
+    sleep(1);
+    return; // Skip if login failed
+  }
+
+  const user = api.as(userSession);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 2: Pick a Seeded Listing
+  // ──────────────────────────────────────────────────────────
+  group('2. Pick Listing', function () {
+    const page = Math.floor(Math.random() * REPORT_PAGES) + 1;
+    const result = user.listings.list({ page: page, size: 20 });
+    if (result.ok && Array.isArray(result.data) && result.data.length > 0) {
+      listing = result.data[Math.floor(Math.random() * result.data.length)];
+    }
+  });
+
+  if (!listing) {
+    sleep(1);
+    return;
+  }
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 3: File Report
+  // ──────────────────────────────────────────────────────────
+  group('3. File Report', function () {
+    const reason = REPORT_REASONS[Math.floor(Math.random() * REPORT_REASONS.length)];
+    const result = user.reports.create(listing.listingId, {
+      reason: reason,
+      description: `K6 report ${data.run.id} - performance test, please ignore.`,
+    }, { tags: { reason: reason } });
+
+    if (result.ok) {
+      report = result.data;
+      filedAt = Date.now();
+      check(report, {
+        'new report is unresolved': (r) => r.resolved === false,
+      });
+    }
+  });
+
+  if (!report) {
+    sleep(1);
+    return;
+  }
+
+  sleep(0.5);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 4: Admin Authentication
+  // ──────────────────────────────────────────────────────────
+  let adminToken = null;
+  group('4. Admin Authentication', function () {
+    adminToken = adminSession.login(ADMIN_USER);
+  });
+
+  if (!adminToken) {
+    sleep(1);
+    return;
+  }
+
+  const adminApi = api.as(adminSession);
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 5: Get Listing Reports
+  // ──────────────────────────────────────────────────────────
+  let listed = null;
+  group('5. Get Listing Reports', function () {
+    listed = findReport(adminApi.reports.forListing(listing.listingId), report.id);
+    check(listed, {
+      'filed report is listed': (r) => r !== null,
+      'listed report is unresolved': (r) => r !== null && r.resolved === false,
+    });
+  });
+
+  if (!listed) {
+    sleep(1);
+    return;
+  }
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 6: Resolve Report
+  // ──────────────────────────────────────────────────────────
+  let resolved = false;
+  group('6. Resolve Report', function () {
+    const result = adminApi.reports.resolve(report.id, {
+      resolved: true,
+      resolution: 'K6 Performance Test - Auto Resolved',
+    });
+    // 403/404 are tolerated by the client but resolve nothing
+    resolved = result.ok && !result.rejected;
+    if (resolved) {
+      check(result.data, {
+        'resolve returns resolved report': (r) => r.id === report.id && r.resolved === true,
+      });
+    }
+  });
+
+  if (!resolved) {
+    sleep(1);
+    return;
+  }
+
+  // ──────────────────────────────────────────────────────────
+  // STEP 7: Verify Resolution Persisted
+  // ──────────────────────────────────────────────────────────
+  group('7. Verify Resolution', function () {
+    const stored = findReport(
+      adminApi.reports.forListing(listing.listingId, { label: 'verify reports' }),
+      report.id
+    );
+    const persisted = check(stored, {
+      'resolved flag persists': (r) => r !== null && r.resolved === true,
+    });
+
+    if (persisted) {
+      resolutionDuration.add(Date.now() - filedAt);
+    } else {
+      resolutionLost.add(1);
+    }
+  });
+
+  // Random sleep between iterations
+  sleep(Math.random() * 2 + 1);
+}
+
+// ============================================================
+// SUMMARY HANDLER
+// ============================================================
+export function handleSummary(data) {
+  const title = 'SMARTRENT REPORT LIFECYCLE TEST RESULTS';
+  return Object.assign({
+    'stdout': textSummary(data, {
+      title: title,
+      indent: ' ',
+      enableColors: true,
+      sections: [accountSummary],
+    }),
+  }, runFiles(data, 'report-lifecycle', options, title), reportFiles(data, 'report-lifecycle', title));
+}
@@ -1,12 +1,32 @@
-import http from 'k6/http';
-import { check, group, sleep } from 'k6';
+import { group, sleep } from 'k6';
 import { Rate, Trend, Counter } from 'k6/metrics';
+import { createClient } from '../lib/smartrent-client.js';
+import { createSession } from '../lib/session.js';
+import { createUserPool, checkUserPool, accountThresholds, accountSummary } from '../lib/credentials.js';
+import { BASE_URL, stages, requireWritable } from '../lib/config.js';
+import { startRun, cleanupRun, saveListing, undoSaves } from '../lib/cleanup.js';
+import { testListing } from '../lib/test-listings.js';
+import { rejectionThresholds, rejectionSummary } from '../lib/outcomes.js';
+import { createSearchWorkload, searchThresholds } from '../lib/search-workload.js';
+import { textSummary } from '../lib/summary.js';
+import { reportFiles } from '../lib/report-formats.js';
+import { runFiles } from '../lib/run-history.js';
 
 // ============================================================
 // SMARTRENT USER JOURNEY PERFORMANCE TEST
 // Scenario: User login -> browse -> save -> search -> create listing -> push
 // ============================================================
 
+// Creates listings, saves and pushes - not allowed on read-only profiles
+requireWritable('user-journey');
+
+// Test accounts assigned to VUs (USER_POOL / USER_POOL_STRATEGY)
+const userPool = createUserPool();
+
+// Weighted search filter combinations (SEARCH_FIXTURES / SEARCH_WEIGHTS)
+const searchWorkload = createSearchWorkload();
+const SEARCHES_PER_ITERATION = Number(__ENV.SEARCHES_PER_ITERATION || 4);
+
 // Custom metrics
 const errorRate = new Rate('errors');
 const loginDuration = new Trend('login_duration');
@@ -24,16 +44,16 @@ export const options = {
     user_journey: {
       executor: 'ramping-vus',
       startVUs: 0,
-      stages: [
+      stages: stages([
         { duration: '30s', target: 5 },   // Ramp up to 5 users
         { duration: '1m', target: 10 },   // Ramp up to 10 users
         { duration: '2m', target: 10 },   // Stay at 10 users
         { duration: '30s', target: 0 },   // Ramp down
-      ],
+      ]),
       gracefulRampDown: '10s',
     },
   },
-  thresholds: {
+  thresholds: Object.assign({
     http_req_duration: ['p(95)<3000'],    // 95% requests < 3s
     http_req_failed: ['rate<0.10'],       // Error rate < 10%
     errors: ['rate<0.10'],
@@ -41,79 +61,55 @@ export const options = {
     get_listings_duration: ['p(95)<2000'],
     listing_detail_duration: ['p(95)<1000'],
     search_duration: ['p(95)<5000'],      // Search can be slower
-  },
+  }, searchThresholds(searchWorkload, ['p(95)<5000']), accountThresholds(userPool), rejectionThresholds()),
 };
 
-const BASE_URL = 'https://dev.api.smartrent.io.vn';
-
-// Test credentials
-const TEST_USER = {
-  email: 'user1@smartrent.vn',
-  password: 'Security@123',
-};
-
-// Helper: Login and get token
-function login() {
-  const payload = JSON.stringify({
-    email: TEST_USER.email,
-    password: TEST_USER.password,
-  });
-
-  const params = {
-    headers: { 'Content-Type': 'application/json' },
-  };
-
-  const startTime = new Date();
-  const res = http.post(`${BASE_URL}/v1/auth`, payload, params);
-  loginDuration.add(new Date() - startTime);
-
-  const success = check(res, {
-    'login status is 200': (r) => r.status === 200,
-    'login has access token': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        return body.data && body.data.accessToken;
-      } catch {
-        return false;
-      }
-    },
-  });
+// USER_POOL_STRATEGY=unique: fail before the run if the pool is too small
+checkUserPool(userPool, options);
+
+// Shared SmartRent client - records the Trends below, checks and error rate
+const api = createClient({
+  baseUrl: BASE_URL,
+  metrics: {
+    login: loginDuration,
+    listings: listingsDuration,
+    listingDetail: listingDetailDuration,
+    saveListing: saveListingDuration,
+    search: searchDuration,
+    createListing: createListingDuration,
+    pushListing: pushListingDuration,
+  },
+  errors: errorRate,
+  successes: successfulOperations,
+});
 
-  if (!success) {
-    errorRate.add(1);
-    console.log(`Login failed: ${res.status} - ${res.body}`);
-    return null;
-  }
+// Token reuse - AUTH_MODE=iteration logs in every iteration for auth stress tests
+const session = createSession(api);
 
-  errorRate.add(0);
-  successfulOperations.add(1);
-  const body = JSON.parse(res.body);
-  return body.data.accessToken;
+export function setup() {
+  return { auth: session.prefetch(userPool.all()), run: startRun() };
 }
 
-// Helper: Get auth headers
-function getAuthHeaders(token) {
-  return {
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
-    },
-  };
+// Delete the listings this run created (CLEANUP=false keeps them)
+export function teardown(data) {
+  cleanupRun(userPool.all(), data.run);
 }
 
 // ============================================================
 // MAIN TEST FUNCTION - USER JOURNEY
 // ============================================================
-export default function () {
+export default function (data) {
   let token = null;
   let listingId = null;
   let createdListingId = null;
 
+  session.seed(data.auth);
+
   // ──────────────────────────────────────────────────────────
   // STEP 1: Authentication
   // ──────────────────────────────────────────────────────────
   group('1. Authentication', function () {
-    token = login();
+    token = session.login(userPool.next());
   });
 
   if (!token) {
@@ -121,43 +117,17 @@ export default function () {
     return; // Skip if login failed
   }
 
-  const authParams = getAuthHeaders(token);
+  const user = api.as(session);
 
   // ──────────────────────────────────────────────────────────
   // STEP 2: Browse Listings (View list)
   // ──────────────────────────────────────────────────────────
   group('2. Browse Listings', function () {
-    const startTime = new Date();
-    const res = http.get(`${BASE_URL}/v1/listings?page=1&size=10`, authParams);
-    listingsDuration.add(new Date() - startTime);
+    const result = user.listings.list({ page: 1, size: 10 }, { requireItems: true });
 
-    const success = check(res, {
-      'get listings status is 200': (r) => r.status === 200,
-      'get listings has data': (r) => {
-        try {
-          const body = JSON.parse(r.body);
-          // data là array trực tiếp
-          return body.data && Array.isArray(body.data) && body.data.length > 0;
-        } catch {
-          return false;
-        }
-      },
-    });
-
-    if (success) {
-      successfulOperations.add(1);
-      errorRate.add(0);
-      // Get first listing ID for next steps
-      try {
-        const body = JSON.parse(res.body);
-        if (body.data && Array.isArray(body.data) && body.data.length > 0) {
-          listingId = body.data[0].listingId;
-        }
-      } catch (e) {
-        // ignore
-      }
-    } else {
-      errorRate.add(1);
+    // Get first listing ID for next steps
+    if (result.ok) {
+      listingId = result.data[0].listingId;
     }
   });
 
@@ -168,24 +138,7 @@ export default function () {
   // ──────────────────────────────────────────────────────────
   if (listingId) {
     group('3. View Listing Detail', function () {
-      const startTime = new Date();
-      const res = http.get(`${BASE_URL}/v1/listings/${listingId}`, authParams);
-      listingDetailDuration.add(new Date() - startTime);
-
-      const success = check(res, {
-        'listing detail status is 200': (r) => r.status === 200,
-        'listing detail has data': (r) => {
-          try {
-            const body = JSON.parse(r.body);
-            return body.data && body.data.listingId;
-          } catch {
-            return false;
-          }
-        },
-      });
-
-      errorRate.add(success ? 0 : 1);
-      if (success) successfulOperations.add(1);
+      user.listings.detail(listingId);
     });
 
     sleep(1); // User reading listing details
@@ -194,217 +147,54 @@ export default function () {
     // STEP 4: Save Listing (Favorite)
     // ──────────────────────────────────────────────────────────
     group('4. Save Listing', function () {
-      const payload = JSON.stringify({ listingId: listingId });
-
-      const startTime = new Date();
-      const res = http.post(`${BASE_URL}/v1/saved-listings`, payload, authParams);
-      saveListingDuration.add(new Date() - startTime);
-
-      const success = check(res, {
-        'save listing status is 200 or 201 or 409': (r) =>
-          r.status === 200 || r.status === 201 || r.status === 409, // 409 = already saved
-      });
-
-      errorRate.add(success ? 0 : 1);
-      if (success) successfulOperations.add(1);
+      saveListing(user, listingId); // 409 = already saved
     });
   }
 
   sleep(0.5);
 
   // ──────────────────────────────────────────────────────────
-  // STEP 5: Search & Filter - By Address (Province)
-  // ──────────────────────────────────────────────────────────
-  group('5. Search - By Address', function () {
-    const searchPayload = JSON.stringify({
-      page: 1,
-      size: 10,
-      provinceIds: [1], // Ha Noi
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, searchPayload, authParams);
-    searchDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'search by address status is 200': (r) => r.status === 200,
-      'search has results': (r) => {
-        try {
-          const body = JSON.parse(r.body);
-          return body.data !== undefined;
-        } catch {
-          return false;
-        }
-      },
-    });
-
-    errorRate.add(success ? 0 : 1);
-    if (success) successfulOperations.add(1);
-  });
-
-  sleep(0.5);
-
-  // ──────────────────────────────────────────────────────────
-  // STEP 6: Search & Filter - By Pricing
-  // ──────────────────────────────────────────────────────────
-  group('6. Search - By Pricing', function () {
-    const searchPayload = JSON.stringify({
-      page: 1,
-      size: 10,
-      minPrice: 5000000,
-      maxPrice: 15000000,
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, searchPayload, authParams);
-    searchDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'search by price status is 200': (r) => r.status === 200,
-    });
-
-    errorRate.add(success ? 0 : 1);
-    if (success) successfulOperations.add(1);
-  });
-
-  sleep(0.5);
-
-  // ──────────────────────────────────────────────────────────
-  // STEP 7: Search & Filter - By Amenities
-  // ──────────────────────────────────────────────────────────
-  group('7. Search - By Amenities', function () {
-    const searchPayload = JSON.stringify({
-      page: 1,
-      size: 10,
-      amenityIds: [1, 2, 3], // Example amenity IDs
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, searchPayload, authParams);
-    searchDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'search by amenities status is 200': (r) => r.status === 200,
-    });
-
-    errorRate.add(success ? 0 : 1);
-    if (success) successfulOperations.add(1);
-  });
-
-  sleep(0.5);
-
-  // ──────────────────────────────────────────────────────────
-  // STEP 8: Search & Filter - Combined (Address + Price + Amenities)
+  // STEP 5: Search & Filter - generated filter combinations
+  // (province, price band, amenities, type, sort, page depth)
   // ──────────────────────────────────────────────────────────
-  group('8. Search - Combined Filters', function () {
-    const searchPayload = JSON.stringify({
-      page: 1,
-      size: 10,
-      provinceIds: [1],
-      minPrice: 3000000,
-      maxPrice: 20000000,
-      amenityIds: [1],
-      listingType: 'RENT',
-      sortBy: 'CREATED_AT',
-      sortDirection: 'DESC',
-    });
-
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings/search`, searchPayload, authParams);
-    searchDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'combined search status is 200': (r) => r.status === 200,
-    });
-
-    errorRate.add(success ? 0 : 1);
-    if (success) successfulOperations.add(1);
+  group('5. Search - Filter Matrix', function () {
+    for (let i = 0; i < SEARCHES_PER_ITERATION; i++) {
+      const search = searchWorkload.next();
+      user.listings.search(search.filters, { tags: { filter_shape: search.shape } });
+      sleep(0.5);
+    }
   });
 
-  sleep(1);
-
   // ──────────────────────────────────────────────────────────
-  // STEP 9: Create Listing (Simulate - may fail without proper data)
+  // STEP 6: Create Listing (Simulate - may fail without proper data)
   // ──────────────────────────────────────────────────────────
-  group('9. Create Listing', function () {
-    const createPayload = JSON.stringify({
-      title: `K6 Test Listing ${Date.now()}`,
-      description: 'This is a test listing created by K6 performance test. Please ignore.',
-      listingType: 'RENT',
-      categoryId: 1,
-      price: 8000000,
-      priceUnit: 'MONTH',
-      address: {
-        provinceId: 1,
-        districtId: 2,
-        wardId: 20,
-        street: '123 Test Street',
-        detail: 'K6 Performance Test',
-      },
-      area: 50,
-      bedrooms: 2,
-      bathrooms: 1,
-      amenityIds: [1, 2],
-      durationDays: 30,
-      useMembershipQuota: true,
-    });
+  group('6. Create Listing', function () {
+    // Running out of quota is expected in load testing (business rejection,
+    // OUTCOME_MODE=strict counts it as an error). Anything else is a real failure.
+    const result = user.listings.create(testListing(data.run));
 
-    const startTime = new Date();
-    const res = http.post(`${BASE_URL}/v1/listings`, createPayload, authParams);
-    createListingDuration.add(new Date() - startTime);
-
-    const success = check(res, {
-      'create listing status is 200 or 201': (r) => r.status === 200 || r.status === 201,
-    });
-
-    if (success) {
-      successfulOperations.add(1);
-      errorRate.add(0);
-      try {
-        const body = JSON.parse(res.body);
-        if (body.data && body.data.listingId) {
-          createdListingId = body.data.listingId;
-        }
-      } catch (e) {
-        // ignore
-      }
-    } else {
-      // Create listing may fail due to missing quota, payment, etc.
-      // This is expected in load testing
-      errorRate.add(0); // Don't count as error for this specific case
-      console.log(`Create listing response: ${res.status}`);
+    if (!result.ok) {
+      console.log(`Create listing response: ${result.res.status} - ${result.res.body}`);
+    } else if (!result.rejected) {
+      createdListingId = result.data.listingId;
     }
   });
 
   sleep(0.5);
 
   // ──────────────────────────────────────────────────────────
-  // STEP 10: Push Listing (Boost)
+  // STEP 7: Push Listing (Boost)
   // ──────────────────────────────────────────────────────────
   if (createdListingId || listingId) {
-    group('10. Push Listing', function () {
-      const targetListingId = createdListingId || listingId;
-      const pushPayload = JSON.stringify({
-        listingId: targetListingId,
-        useMembershipQuota: true,
-      });
-
-      const startTime = new Date();
-      const res = http.post(`${BASE_URL}/v1/pushes/push`, pushPayload, authParams);
-      pushListingDuration.add(new Date() - startTime);
-
-      const success = check(res, {
-        'push listing status is 200 or 201 or 400': (r) =>
-          r.status === 200 || r.status === 201 || r.status === 400, // 400 = no quota
-      });
-
-      errorRate.add(success ? 0 : 1);
-      if (res.status === 200 || res.status === 201) {
-        successfulOperations.add(1);
-      }
+    group('7. Push Listing', function () {
+      // No quota left / not the owner of the fallback listing
+      user.pushes.push(createdListingId || listingId);
     });
   }
 
+  // Unsave what this iteration saved (CLEANUP=false keeps it)
+  undoSaves(session);
+
   // Random sleep between iterations
   sleep(Math.random() + 1);
 }
@@ -413,64 +203,13 @@ export default function () {
 // SUMMARY HANDLER
 // ============================================================
 export function handleSummary(data) {
-  return {
-    'stdout': textSummary(data, { indent: ' ', enableColors: true }),
-    './results/user-journey-results.json': JSON.stringify(data, null, 2),
-  };
-}
-
-function textSummary(data, options) {
-  const indent = options.indent || '';
-  let summary = '\n';
-  summary += '='.repeat(70) + '\n';
-  summary += indent + 'SMARTRENT USER JOURNEY PERFORMANCE TEST RESULTS\n';
-  summary += '='.repeat(70) + '\n\n';
-
-  // Thresholds
-  summary += indent + 'THRESHOLDS\n\n';
-  if (data.metrics.http_req_duration) {
-    const p95 = data.metrics.http_req_duration.values['p(95)'];
-    const status = p95 < 3000 ? 'PASS' : 'FAIL';
-    summary += indent + `  [${status}] http_req_duration p(95): ${p95.toFixed(2)}ms (target: <3000ms)\n`;
-  }
-  if (data.metrics.http_req_failed) {
-    const failRate = data.metrics.http_req_failed.values.rate * 100;
-    const status = failRate < 10 ? 'PASS' : 'FAIL';
-    summary += indent + `  [${status}] http_req_failed rate: ${failRate.toFixed(2)}% (target: <10%)\n`;
-  }
-
-  // API Performance by Step
-  summary += '\n' + indent + 'API PERFORMANCE BY STEP\n\n';
-
-  const metrics = [
-    { key: 'login_duration', name: '1. Login' },
-    { key: 'get_listings_duration', name: '2. Get Listings' },
-    { key: 'listing_detail_duration', name: '3. Listing Detail' },
-    { key: 'save_listing_duration', name: '4. Save Listing' },
-    { key: 'search_duration', name: '5-8. Search/Filter' },
-    { key: 'create_listing_duration', name: '9. Create Listing' },
-    { key: 'push_listing_duration', name: '10. Push Listing' },
-  ];
-
-  metrics.forEach(m => {
-    if (data.metrics[m.key]) {
-      const avg = data.metrics[m.key].values.avg;
-      const p95 = data.metrics[m.key].values['p(95)'];
-      summary += indent + `  ${m.name}:\n`;
-      summary += indent + `    avg: ${avg.toFixed(2)}ms | p95: ${p95.toFixed(2)}ms\n`;
-    }
-  });
-
-  // Overall
-  summary += '\n' + indent + 'OVERALL METRICS\n\n';
-  if (data.metrics.http_reqs) {
-    summary += indent + `  Total Requests: ${data.metrics.http_reqs.values.count}\n`;
-    summary += indent + `  Request Rate: ${data.metrics.http_reqs.values.rate.toFixed(2)}/s\n`;
-  }
-  if (data.metrics.successful_operations) {
-    summary += indent + `  Successful Operations: ${data.metrics.successful_operations.values.count}\n`;
-  }
-
-  summary += '\n' + '='.repeat(70) + '\n';
-  return summary;
+  const title = 'SMARTRENT USER JOURNEY PERFORMANCE TEST RESULTS';
+  return Object.assign({
+    'stdout': textSummary(data, {
+      title: title,
+      indent: ' ',
+      enableColors: true,
+      sections: [accountSummary, rejectionSummary],
+    }),
+  }, runFiles(data, 'user-journey', options, title), reportFiles(data, 'user-journey', title));
 }
@@ -0,0 +1,98 @@
+import { sleep } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import { createClient } from '../lib/smartrent-client.js';
+import { BASE_URL, stages } from '../lib/config.js';
+import { createSearchWorkload, searchThresholds } from '../lib/search-workload.js';
+import { createVisitorFunnel, funnelThresholds, funnelSummary } from '../lib/visitor-funnel.js';
+import { textSummary } from '../lib/summary.js';
+import { reportFiles } from '../lib/report-formats.js';
+import { runFiles } from '../lib/run-history.js';
+
+// ============================================================
+// SMARTRENT ANONYMOUS VISITOR FUNNEL TEST
+// Scenario: landing stats -> listing page -> filtered search
+//           -> listing details, with drop-off after every step
+// No login and read-only endpoints only, so it also runs against
+// read-only profiles. Funnel settings: see lib/visitor-funnel.js
+// (FUNNEL_DROPOFF, FUNNEL_MAX_DETAILS).
+// ============================================================
+
+// Weighted search filter combinations (SEARCH_FIXTURES / SEARCH_WEIGHTS)
+const searchWorkload = createSearchWorkload();
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const statsProvinceDuration = new Trend('stats_province_duration');
+const statsCategoryDuration = new Trend('stats_category_duration');
+const listingsDuration = new Trend('get_listings_duration');
+const searchDuration = new Trend('search_duration');
+const listingDetailDuration = new Trend('listing_detail_duration');
+const successfulOperations = new Counter('successful_operations');
+
+// Test configuration
+export const options = {
+  scenarios: {
+    visitors: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: stages([
+        { duration: '30s', target: 10 },  // Ramp up to 10 visitors
+        { duration: '1m', target: 25 },   // Ramp up to 25 visitors
+        { duration: '2m', target: 25 },   // Stay at 25 visitors
+        { duration: '30s', target: 0 },   // Ramp down
+      ]),
+      gracefulRampDown: '30s',
+    },
+  },
+  thresholds: Object.assign({
+    http_req_duration: ['p(95)<2000'],
+    http_req_failed: ['rate<0.05'],
+    errors: ['rate<0.05'],
+    stats_province_duration: ['p(95)<1000'],
+    stats_category_duration: ['p(95)<1000'],
+    get_listings_duration: ['p(95)<2000'],
+    listing_detail_duration: ['p(95)<1000'],
+    search_duration: ['p(95)<5000'],
+  }, searchThresholds(searchWorkload, ['p(95)<5000']), funnelThresholds()),
+};
+
+// Anonymous client - no token, public endpoints only
+const api = createClient({
+  baseUrl: BASE_URL,
+  metrics: {
+    statsProvinces: statsProvinceDuration,
+    statsCategories: statsCategoryDuration,
+    listings: listingsDuration,
+    search: searchDuration,
+    listingDetail: listingDetailDuration,
+  },
+  errors: errorRate,
+  successes: successfulOperations,
+});
+
+const funnel = createVisitorFunnel(api, searchWorkload);
+
+// ============================================================
+// MAIN TEST FUNCTION - ONE VISIT
+// ============================================================
+export default function () {
+  funnel.run();
+
+  // Next visitor
+  sleep(Math.random() * 2 + 1);
+}
+
+// ============================================================
+// SUMMARY HANDLER
+// ============================================================
+export function handleSummary(data) {
+  const title = 'SMARTRENT ANONYMOUS VISITOR FUNNEL TEST RESULTS';
+  return Object.assign({
+    'stdout': textSummary(data, {
+      title: title,
+      indent: ' ',
+      enableColors: true,
+      sections: [funnelSummary],
+    }),
+  }, runFiles(data, 'visitor-funnel', options, title), reportFiles(data, 'visitor-funnel', title));
+}
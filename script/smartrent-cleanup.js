@@ -0,0 +1,45 @@
+import { createUserPool } from '../lib/credentials.js';
+import { PROFILE_NAME, requireWritable } from '../lib/config.js';
+import { LISTING_TITLE_PREFIX, cleanupAccounts, formatCleanupReport } from '../lib/cleanup.js';
+
+// ============================================================
+// SMARTRENT TEST DATA CLEANUP
+// Removes leftovers of runs that were aborted before teardown()
+// or ran with CLEANUP=false, for every account of the user pool.
+//
+// __ENV:
+//   RUN_ID          only listings of this run (default: every "K6 Test Listing")
+//   CLEANUP_SINCE   also unsave listings saved after this ISO date
+//
+//   k6 run -e PROFILE=dev -e RUN_ID=run1a2b3c script/smartrent-cleanup.js
+// ============================================================
+
+requireWritable('cleanup');
+
+const userPool = createUserPool();
+
+export const options = {
+  vus: 1,
+  iterations: 1,
+  thresholds: {
+    cleanup_failed: ['count==0'],
+  },
+};
+
+export default function () {
+  const titlePrefix = __ENV.RUN_ID
+    ? `${LISTING_TITLE_PREFIX} ${__ENV.RUN_ID} `
+    : `${LISTING_TITLE_PREFIX} `;
+
+  if (__ENV.CLEANUP_SINCE && isNaN(Date.parse(__ENV.CLEANUP_SINCE))) {
+    throw new Error(`CLEANUP_SINCE "${__ENV.CLEANUP_SINCE}" is not an ISO date`);
+  }
+
+  const report = cleanupAccounts(userPool.all(), {
+    titlePrefix: titlePrefix,
+    since: __ENV.CLEANUP_SINCE,
+  });
+
+  console.log(formatCleanupReport(report,
+    `Cleanup on ${PROFILE_NAME} (${userPool.size} accounts, titles "${titlePrefix}...")`));
+}
@@ -0,0 +1,178 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// ============================================================
+// BASELINE REGRESSION GATE
+// Compares the endpoint Trends (avg / p95) of a k6 summary JSON
+// (handleSummary output) with a stored baseline summary.
+// No dependencies, Node 18+.
+//
+// Usage:
+//   node tools/compare-baseline.mjs --scenario full-api [--run-tag <RUN_TAG>]
+//        [--baseline results/baselines/full-api.json]
+//        [--avg-tolerance 20] [--p95-tolerance 25] [--min-delta 5] [--allow-missing]
+//   node tools/compare-baseline.mjs --scenario full-api --update
+//   node tools/compare-baseline.mjs --current <summary.json> --baseline <summary.json>
+//
+// --scenario picks the newest run of that scenario from results/results-index.json;
+// with --run-tag that run must carry the RUN_TAG the runner gave k6, otherwise the
+// current run wrote no results and an older run would be compared.
+//
+// A stat regresses when it is more than <tolerance>% AND more than
+// --min-delta ms above the baseline. An endpoint of the baseline that is
+// MISSING from the current run (the step stopped running) also fails,
+// unless --allow-missing. Exit codes: 0 ok, 1 regression / missing endpoint,
+// 2 usage error / missing files.
+//
+// Env defaults: BASELINE_AVG_TOLERANCE, BASELINE_P95_TOLERANCE, BASELINE_MIN_DELTA
+// ============================================================
+
+const RESULTS_DIR = fileURLToPath(new URL('../results/', import.meta.url));
+const BASELINE_DIR = path.join(RESULTS_DIR, 'baselines');
+
+const BUILTIN_TRENDS = ['group_duration', 'iteration_duration'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function usage(message) {
+  console.error(`Error: ${message}`);
+  console.error('Usage: node tools/compare-baseline.mjs --scenario <name> | --current <summary.json> [--baseline <summary.json>]');
+  console.error('       [--run-tag <tag>] [--avg-tolerance 20] [--p95-tolerance 25] [--min-delta 5] [--allow-missing] [--update]');
+  process.exit(2);
+}
+
+function readSummary(file) {
+  if (!fs.existsSync(file)) usage(`${file} not found`);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data.metrics) usage(`${file} is not a k6 summary (no "metrics")`);
+  return data;
+}
+
+// Newest run of a scenario in results-index.json (entries are newest first);
+// with runTag it must be the run k6 was started with
+function latestRun(scenario, runTag) {
+  const indexFile = path.join(RESULTS_DIR, 'results-index.json');
+  if (!fs.existsSync(indexFile)) usage(`${indexFile} not found`);
+  const entry = JSON.parse(fs.readFileSync(indexFile, 'utf8'))
+    .find((run) => typeof run === 'object' && run.scenario === scenario);
+  if (!entry) usage(`no run of scenario "${scenario}" in ${indexFile}`);
+  if (runTag && entry.runTag !== runTag) {
+    usage(`newest "${scenario}" run (${entry.file}) is not run ${runTag} - the current run wrote no results`);
+  }
+  return path.join(RESULTS_DIR, entry.file);
+}
+
+// Custom Trends incl. submetrics, e.g. search_duration{filter_shape:price}
+function endpointTrends(data) {
+  const trends = {};
+  Object.keys(data.metrics).forEach((name) => {
+    const metric = data.metrics[name];
+    const base = name.split('{')[0];
+    if (metric.type !== 'trend' || base.startsWith('http_req') || BUILTIN_TRENDS.includes(base)) return;
+    if (!(metric.values.max > 0)) return; // no samples
+    trends[name] = metric.values;
+  });
+  return trends;
+}
+
+// Rows of { metric, stat, baseline, current, change, status }
+export function compare(baseline, current, options) {
+  const before = endpointTrends(baseline);
+  const after = endpointTrends(current);
+  const rows = [];
+
+  Object.keys(Object.assign({}, before, after)).sort().forEach((metric) => {
+    if (!before[metric]) {
+      rows.push({ metric: metric, stat: '-', baseline: null, current: null, change: null, status: 'NEW' });
+      return;
+    }
+    if (!after[metric]) {
+      rows.push({ metric: metric, stat: '-', baseline: null, current: null, change: null, status: 'MISSING' });
+      return;
+    }
+    [['avg', options.avgTolerance], ['p(95)', options.p95Tolerance]].forEach(([stat, tolerance]) => {
+      const b = before[metric][stat];
+      const c = after[metric][stat];
+      const change = b > 0 ? ((c - b) / b) * 100 : 0;
+      let status = 'OK';
+      if (change > tolerance && c - b > options.minDelta) status = 'REGRESSED';
+      else if (change < -tolerance && b - c > options.minDelta) status = 'IMPROVED';
+      rows.push({ metric: metric, stat: stat, baseline: b, current: c, change: change, status: status });
+    });
+  });
+  return rows;
+}
+
+function pad(value, width) {
+  const text = String(value);
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+function printTable(rows, options) {
+  const width = Math.max(30, ...rows.map((r) => r.metric.length)) + 2;
+  console.log(`Tolerance: avg +${options.avgTolerance}% | p95 +${options.p95Tolerance}% | min delta ${options.minDelta}ms\n`);
+  console.log(pad('METRIC', width) + pad('STAT', 8) + pad('BASELINE', 12) + pad('CURRENT', 12) + pad('CHANGE', 10) + 'STATUS');
+  rows.forEach((r) => {
+    const fmt = (v) => (v === null ? '-' : `${v.toFixed(2)}ms`);
+    const change = r.change === null ? '-' : `${r.change >= 0 ? '+' : ''}${r.change.toFixed(1)}%`;
+    console.log(pad(r.metric, width) + pad(r.stat, 8) + pad(fmt(r.baseline), 12) + pad(fmt(r.current), 12) + pad(change, 10) + r.status);
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (typeof args.scenario === 'string') {
+    args.current = latestRun(args.scenario, typeof args['run-tag'] === 'string' ? args['run-tag'] : null);
+  } else if (typeof args.current !== 'string') {
+    usage('--scenario or --current is required');
+  }
+
+  const baselineFile = args.baseline ||
+    path.join(BASELINE_DIR, args.scenario ? `${args.scenario}.json` : path.basename(args.current));
+
+  if (args.update) {
+    readSummary(args.current);
+    fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+    fs.copyFileSync(args.current, baselineFile);
+    console.log(`Baseline updated: ${baselineFile}`);
+    return;
+  }
+
+  const options = {
+    avgTolerance: Number(args['avg-tolerance'] || process.env.BASELINE_AVG_TOLERANCE || 20),
+    p95Tolerance: Number(args['p95-tolerance'] || process.env.BASELINE_P95_TOLERANCE || 25),
+    minDelta: Number(args['min-delta'] || process.env.BASELINE_MIN_DELTA || 5),
+  };
+
+  const rows = compare(readSummary(baselineFile), readSummary(args.current), options);
+  console.log(`Baseline: ${baselineFile}`);
+  console.log(`Current:  ${args.current}`);
+  printTable(rows, options);
+
+  const regressions = rows.filter((r) => r.status === 'REGRESSED');
+  const missing = args['allow-missing'] ? [] : rows.filter((r) => r.status === 'MISSING');
+  if (regressions.length > 0 || missing.length > 0) {
+    if (regressions.length > 0) console.log(`\nFAIL: ${regressions.length} regression(s) above tolerance`);
+    if (missing.length > 0) console.log(`\nFAIL: ${missing.length} baseline endpoint(s) missing from the current run`);
+    process.exit(1);
+  }
+  console.log('\nPASS: no regression above tolerance');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}